@@ -1,7 +1,42 @@
 ﻿'use strict';
 
 const crypto = require('node:crypto');
-const { encodeConfig, decodeConfig } = require('../lib/config');
+const { encodeConfig, decodeConfig, warnIfPlainTokens } = require('../lib/config');
+const { preferencesFromForm } = require('../lib/preferences');
+const { filterReleases, describeRelease, inferQuality } = require('../lib/release-filter');
+const { sortStreamEntries, usesAvailability } = require('../lib/stream-sort');
+const { categoryLabel, resolveCategorySelection } = require('../lib/categories');
+const { languageLabel, languageTag } = require('../lib/language');
+const { parseKitsuId, resolveKitsuId } = require('../lib/kitsu');
+const { LOW_CONFIDENCE } = require('../lib/episodes');
+const { createCacheStore } = require('../lib/cache-store');
+const { encodeSelectionKey, decodeSelectionKey, tokenBinding } = require('../lib/selection-key');
+const { clampProgress, placeholderSegment, placeholderPlaylist } = require('../lib/placeholder-video');
+const { phaseLabel, renderStatusPage, renderHnrPage } = require('../lib/status-page');
+const { shouldSeed, addLedgerEntry, buildHnrReport } = require('../lib/seeding');
+const { hasCleanupLimits, planCleanup } = require('../lib/cleanup');
+const { hasPasskey, withoutMemberKeys } = require('../lib/passkey');
+const { BINGE_PREFETCH_MAX_ACTIVE, BINGE_PREFETCH_PER_HOUR, nextEpisodeTargets, pickNextRelease } = require('../lib/binge');
+const { parseLibraryId, libraryStatus, libraryToMetas, libraryToMeta, formatSize } = require('../lib/library');
+const {
+  CATALOG_PAGE_SIZE,
+  manifestCatalogs,
+  findCatalog,
+  catalogCategories,
+  parseExtra,
+  parseReleaseId,
+  rowsForCatalog,
+  rowsToReleaseMetas,
+  releaseToMeta,
+  createCatalogState,
+  fillCatalogState,
+} = require('../lib/catalogs');
+const {
+  isVaultEnabled,
+  createVaultEntry,
+  replaceVaultEntry,
+  revokeVaultEntry,
+} = require('../lib/vault');
 let logInfo = (...args) => console.log(...args);
 let logError = (...args) => console.error(...args);
 try {
@@ -11,18 +46,25 @@ try {
 }
 const {
   loginAndSearch,
+  loginAndBrowse,
+  loginAndSearchByName,
+  loginAndFetchRelease,
+  loginAndFetchBookmarks,
   loginAndFetchTorrentFile,
   parseTorrentMeta,
   torrentToMagnet,
 } = require('../lib/ncore-client');
-const {  checkCached,
-  getMyTorrents,
-  resolveLink,
+const {
   infoHashFromMagnet,
+  findTorrent,
+  getTorrentId,
+  getVideoFiles,
   isTorrentReady,
+  isTorrentError,
   getTorrentState,
   getTorrentProgress,
 } = require('../lib/torbox-client');
+const { PROVIDER_IDS, DEFAULT_PROVIDER, getProvider, normalizeProviderId } = require('../lib/debrid');
 
 // ---------------------------------------------------------------------------
 // Manifest
@@ -32,11 +74,15 @@ const MANIFEST = {
   id: 'community.ncore.web',
   version: '1.0.1',
   name: 'nCore Web Addon',
-  description: 'nCore + TorBox stream addon',
-  resources: ['stream'],
+  description: 'nCore + debrid (TorBox, Real-Debrid) stream addon',
+  resources: [
+    'catalog',
+    { name: 'meta', types: ['movie', 'series'], idPrefixes: ['ncore:', 'torbox:'] },
+    'stream',
+  ],
   types: ['movie', 'series'],
-  idPrefixes: ['tt'],
-  catalogs: [],
+  idPrefixes: ['tt', 'kitsu:', 'ncore:', 'torbox:'],
+  catalogs: manifestCatalogs(),
   behaviorHints: { configurable: true },
 };
 
@@ -45,6 +91,8 @@ const SETUP_MANIFEST = {
   id: 'community.ncore.web.setup',
   name: 'nCore Web Addon (Setup)',
   description: 'Open /configure to generate your personal manifest URL.',
+  resources: ['stream'],
+  catalogs: [],
   behaviorHints: { configurable: true, configurationRequired: true },
 };
 
@@ -52,17 +100,38 @@ const SETUP_MANIFEST = {
 // Cache-ek (folyamat-szintÄąÂ± memÄ‚Ĺ‚ria)
 // ---------------------------------------------------------------------------
 
-const resolveCache    = new Map(); // resolveKey  Ă˘â€ â€™ { url, expiresAt }
-const resolveInFlight = new Map(); // resolveKey  Ă˘â€ â€™ Promise<string>
-const selections      = new Map(); // selectionKey Ă˘â€ â€™ adatok
-const myListCache     = new Map(); // apiKeyHash  Ă˘â€ â€™ { list, expiresAt }
-const streamListCache = new Map(); // streamKey   -> { streams, expiresAt }
+const resolveCache    = createCacheStore('resolve');    // resolveKey   -> url
+// In-flight resolves are promises and stay in process memory.
+const resolveInFlight = new Map(); // resolveKey -> Promise<string>
+// Phase of running (and recently failed) resolves for the status page.
+const resolvePhases   = new Map(); // resolveKey -> { phase, state, progress, error, updatedAt }
+// Binge prefetches running in this process, so parallel resolves of one
+// episode do not add the next one twice.
+const prefetchInFlight = new Set(); // doneKey
+const selections      = createCacheStore('selections'); // selectionKey -> selection
+const myListCache     = createCacheStore('mylist');     // accountHash  -> debrid list
+const streamListCache = createCacheStore('streams');    // streamKey    -> streams
+const catalogCache    = createCacheStore('catalogs');   // catalogKey   -> { state, expiresAt }
+const bookmarkCache   = createCacheStore('bookmarks');  // loginHash    -> rows
+const releaseCache    = createCacheStore('releases');   // torrentId    -> row
+const prefetchCache   = createCacheStore('prefetch');   // done / budget markers of binge prefetch
+const seedLedger      = createCacheStore('seed-ledger'); // ledgerKey    -> torrents the addon added
+const cleanupCache    = createCacheStore('cleanup');    // ledgerKey    -> last-run marker of library cleanup
 
 const RESOLVE_TTL   = 20 * 60 * 1000;
 const SELECTION_TTL = 90 * 60 * 1000;
 const MYLIST_TTL    =      15 * 1000;
+const CATALOG_TTL   = 10 * 60 * 1000;
+const RELEASE_TTL   =  6 * 60 * 60 * 1000;
+const BOOKMARK_TTL  =  2 * 60 * 1000;
+const RESOLVE_STATUS_TTL = 10 * 60 * 1000;
+const PREFETCH_DONE_TTL = 24 * 60 * 60 * 1000;
+const PREFETCH_BUDGET_WINDOW = 60 * 60 * 1000;
+const LEDGER_TTL = 30 * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = toPositiveInt(process.env.CLEANUP_INTERVAL_MINUTES, 60) * 60 * 1000;
 const STREAM_LIST_TTL_MS = toPositiveInt(process.env.STREAM_LIST_TTL_MS, 15000);
 const STREAM_RESULT_LIMIT = Math.min(toPositiveInt(process.env.STREAM_RESULT_LIMIT, 30), 60);
+const STREAM_CANDIDATE_LIMIT = 60;
 const RESOLVE_MAX_WAIT_MS = toPositiveInt(process.env.TORBOX_RESOLVE_MAX_WAIT_MS, 30000);
 const ENABLE_STREAM_CACHE_PRECHECK = String(process.env.ENABLE_STREAM_CACHE_PRECHECK || "true").toLowerCase() === "true";
 const ENABLE_STREAM_MYLIST_PRECHECK = String(process.env.ENABLE_STREAM_MYLIST_PRECHECK || "").toLowerCase() === "true";
@@ -73,14 +142,6 @@ function debugErr(message, meta) {
   logError(message, meta || {});
 }
 
-function pruneCache() {
-  const now = Date.now();
-  for (const [k, v] of resolveCache) if (v.expiresAt <= now) resolveCache.delete(k);
-  for (const [k, v] of selections)   if (v.expiresAt <= now) selections.delete(k);
-  for (const [k, v] of myListCache)  if (v.expiresAt <= now) myListCache.delete(k);
-  for (const [k, v] of streamListCache) if (v.expiresAt <= now) streamListCache.delete(k);
-}
-
 // ---------------------------------------------------------------------------
 // HTTP segÄ‚Â©dek
 // ---------------------------------------------------------------------------
@@ -147,6 +208,11 @@ function parseStreamId(raw) {
     // keep original when malformed encoding
   }
   const parts   = decoded.split(':');
+  // ncore:<torrentId>[:<fileIdx>] and torbox:<torrentId>[:<fileId>] point at
+  // a torrent, not at an episode.
+  if (parts[0] === 'ncore' || parts[0] === 'torbox') return { raw: decoded, imdbId: '', season: null, episode: null };
+  // kitsu:<animeId>[:<episode>] is mapped to season/episode by the stream handler.
+  if (parts[0] === 'kitsu') return { raw: decoded, imdbId: '', season: null, episode: null };
   const season  = Number(parts[1]);
   const episode = Number(parts[2]);
   return {
@@ -157,6 +223,19 @@ function parseStreamId(raw) {
   };
 }
 
+// The release cache is shared by every token, so rows go in without their
+// member-specific parts.
+async function rememberReleaseRows(rows) {
+  for (const row of rows || []) {
+    if (!row?.id) continue;
+    await releaseCache.set(String(row.id), withoutMemberKeys(row), RELEASE_TTL);
+  }
+}
+
+function cachedReleaseRow(torrentId) {
+  return releaseCache.get(String(torrentId));
+}
+
 function normalizeMagnet(v) {
   const s = String(v || '').trim();
   return /^magnet:\?/i.test(s) ? s : '';
@@ -171,25 +250,105 @@ function extractHash(magnet) {
   return infoHashFromMagnet(magnet);
 }
 
-function formatSize(bytes) {
-  const n = Number(bytes);
-  if (!n || !Number.isFinite(n)) return '';
-  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-  let v = n, i = 0;
-  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
-  return `${v >= 10 || i === 0 ? v.toFixed(0) : v.toFixed(1)} ${units[i]}`;
+// Weak episode matches (folder/order based) are shown, but flagged.
+function matchWarning(confidence) {
+  if (confidence == null || confidence >= LOW_CONFIDENCE) return '';
+  return `Bizonytalan epizód-egyezés (${Math.round(confidence * 100)}%)`;
+}
+
+function availabilityOf({ inMyList, isReady, globalCached }) {
+  if (isReady)                return 'library';
+  if (inMyList)               return 'downloading';
+  if (globalCached === true)  return 'cached';
+  if (globalCached === false) return 'uncached';
+  return 'unknown';
+}
+
+// Single stream for a torbox: library item; the selection carries the
+// provider torrent ID (torboxId) so resolve can skip the magnet/find-or-create
+// path.
+async function libraryStream({ torrent, fileId, token, parsedId, origin, basePath, label }) {
+  const torboxId = getTorrentId(torrent);
+  const infoHash = String(torrent.hash || '').toLowerCase();
+  const file     = fileId != null ? getVideoFiles(torrent).find((f) => f.id === String(fileId)) : null;
+  const signedKey = encodeSelectionKey(token, { infoHash, torboxId, fileId: file ? file.id : null, fileName: file ? file.short : null });
+  const selKey   = signedKey || buildSelectionKey({ token, parsedIdRaw: parsedId.raw, infoHash, fileName: file?.short || torboxId });
+  // A signed key carries the selection itself, only the fallback keys need the cache.
+  if (!signedKey) {
+    await selections.set(selKey, {
+      tokenBinding: tokenBinding(token), infoHash, torboxId,
+      fileId:   file ? file.id : null,
+      fileName: file ? file.short : null,
+      season:   null,
+      episode:  null,
+      cached:   isTorrentReady(torrent),
+    }, SELECTION_TTL);
+  }
+
+  const ready = isTorrentReady(torrent);
+  return {
+    name:  `${label}\n${ready ? '[LIBRARY]' : `[${libraryStatus(torrent, label).replace(`${label}: `, '').toUpperCase()}]`}`,
+    title: [
+      torrent.name,
+      file ? file.short.split('/').pop() : '',
+      libraryStatus(torrent, label),
+      formatSize(file ? file.size : torrent.size),
+    ].filter(Boolean).join('\n'),
+    url: `${origin}${basePath}/${token}/resolve/${selKey}`,
+    behaviorHints: {
+      notWebReady: true,
+      bingeGroup:  `${label}-library-${torboxId}`,
+    },
+  };
+}
+
+// Stremio-native torrent stream (P2P mode). nCore torrents are private, so
+// their own trackers are the only peer source: without `sources` Stremio
+// would fall back to DHT and public trackers, which a private torrent must not
+// use. The caller skips releases without tracker sources.
+function p2pStream({ item, infoHash, sources }, prefs) {
+  const quality = inferQuality(item.title);
+  const lang    = item.release?.language;
+  const langTag = prefs.language !== 'any' ? languageTag(lang) : '';
+  const stream  = {
+    name:  `nCore\nP2P ${[quality, langTag].filter(Boolean).join(' ')}`,
+    title: [
+      item.title,
+      'P2P (Stremio torrent)',
+      languageLabel(lang),
+      matchWarning(item.matchConfidence),
+      [`S:${Number(item.seeders) || 0}`, formatSize(item.sizeBytes), categoryLabel(item.category), item.freeleech ? 'Freeleech' : ''].filter(Boolean).join(' | '),
+    ].filter(Boolean).join('\n'),
+    infoHash,
+    sources,
+    behaviorHints: {
+      bingeGroup: `nCore-P2P-${quality || 'default'}`,
+    },
+  };
+  if (Number.isInteger(item.fileIdx)) stream.fileIdx = item.fileIdx;
+  return stream;
 }
 
-function inferQuality(title) {
-  const t = String(title || '').toLowerCase();
-  if (t.includes('2160') || t.includes('4k') || t.includes('uhd')) return '2160p';
-  if (t.includes('1080')) return '1080p';
-  if (t.includes('720'))  return '720p';
-  return '';
+function setResolvePhase(resolveKey, phase, extra = {}) {
+  const now = Date.now();
+  if (resolvePhases.size > 200) {
+    for (const [k, v] of resolvePhases) if (now - v.at > RESOLVE_STATUS_TTL) resolvePhases.delete(k);
+  }
+  resolvePhases.set(resolveKey, {
+    phase,
+    state:     extra.state || '',
+    progress:  phase === 'downloading' ? clampProgress(extra.progress) : null,
+    error:     extra.error || null,
+    updatedAt: new Date(now).toISOString(),
+    at:        now,
+  });
 }
 
-function readableCategory(cat) {
-  return String(cat || '').split('_').map(p => p.toUpperCase()).join(' ');
+// Cached-only keeps releases known to be cached. Providers without a cache
+// check (Real-Debrid) cannot know before adding, so there unknown releases
+// stay too and the add-only-if-cached resolve settles them.
+function passesCachedOnly(debrid, cached) {
+  return cached === true || (cached == null && !debrid.cacheCheck);
 }
 
 function shortHash(s) {
@@ -218,15 +377,253 @@ function buildSelectionKey({ token, parsedIdRaw, infoHash, fileName, downloadUrl
 // ---------------------------------------------------------------------------
 
 function createApp(deps = {}) {
+  warnIfPlainTokens();
   const searchClient   = deps.searchClient        || loginAndSearch;
-  const _checkCached   = deps.torboxCachedChecker || checkCached;
-  const _getMyTorrents = deps.torboxMyListFetcher  || getMyTorrents;
-  const _resolveLink   = deps.torboxResolver       || resolveLink;
+  const browseClient   = deps.browseClient        || loginAndBrowse;
+  const nameSearchClient = deps.nameSearchClient  || loginAndSearchByName;
+  const releaseClient  = deps.releaseClient       || loginAndFetchRelease;
+  const bookmarksClient = deps.bookmarksClient    || loginAndFetchBookmarks;
+  const kitsuResolver  = deps.kitsuResolver       || resolveKitsuId;
+  const torrentFileClient = deps.torrentFileClient || loginAndFetchTorrentFile;
   const configureHtml  = deps.configureHtml;
 
-  return async function app(req, res) {
-    pruneCache();
+  // Debrid providers; deps.providers[id] overrides single methods of one.
+  // The torbox* deps are the older names of the TorBox overrides.
+  const torboxDeps = {
+    checkCached:        deps.torboxCachedChecker,
+    getMyTorrents:      deps.torboxMyListFetcher,
+    resolveLink:        deps.torboxResolver,
+    resolveLibraryLink: deps.torboxLibraryResolver,
+    addTorrent:         deps.torboxAdder,
+    deleteTorrent:      deps.torboxDeleter,
+  };
+  const providers = {};
+  for (const id of PROVIDER_IDS) {
+    const overrides = { ...(id === DEFAULT_PROVIDER ? torboxDeps : {}), ...(deps.providers?.[id] || {}) };
+    providers[id] = { ...getProvider(id) };
+    for (const [method, fn] of Object.entries(overrides)) if (fn) providers[id][method] = fn;
+  }
+  const providerFor = (creds) => providers[normalizeProviderId(creds.debridProvider)];
+  const myListKey   = (creds) => shortHash(`${normalizeProviderId(creds.debridProvider)}|${creds.debridApiKey}`);
+
+  async function loadMyList(creds, timeoutMs) {
+    const key    = myListKey(creds);
+    const cached = await myListCache.get(key);
+    if (cached) return cached;
+    const list = await withTimeout(providerFor(creds).getMyTorrents({ apiKey: creds.debridApiKey }), timeoutMs);
+    await myListCache.set(key, list, MYLIST_TTL);
+    return list;
+  }
+
+  // Seeding ledger for the hit-and-run report: what the addon added to one
+  // debrid account for one nCore member, and when.
+  const ledgerKey = (creds) => shortHash(`${creds.username}|${myListKey(creds)}`);
+
+  // `torrentId` is the nCore ID, `debridId` the ID the debrid service gave
+  // the added torrent; the library cleanup only deletes by the latter.
+  async function recordAdded(creds, { infoHash, torrentId, debridId, title, freeleech, seed }) {
+    const key = ledgerKey(creds);
+    const entries = addLedgerEntry(await seedLedger.get(key), {
+      infoHash,
+      torrentId: torrentId ? String(torrentId) : null,
+      debridId:  debridId ? String(debridId) : null,
+      title:     title || '',
+      freeleech: Boolean(freeleech),
+      seed:      providerFor(creds).seedControl ? seed : null,
+      addedAt:   Date.now(),
+    });
+    await seedLedger.set(key, entries, LEDGER_TTL);
+  }
+
+  // Library cleanup of addon-added torrents. There is no server-side list of
+  // accounts to sweep, so it runs in the background after resolves (at most
+  // once per CLEANUP_INTERVAL_MS and account) or on demand. The torrent that
+  // was just played is never deleted.
+  async function runCleanup(creds, { dryRun = false, keepHashes = [] } = {}) {
+    const key = ledgerKey(creds);
+    const limits = {
+      cleanupAfterDays: creds.preferences.cleanupAfterDays,
+      cleanupMaxSizeGb: creds.preferences.cleanupMaxSizeGb,
+    };
+    const entries = await seedLedger.get(key) || [];
+    const list = entries.length ? await loadMyList(creds, 5000) : [];
+    const plan = planCleanup(entries, list, { ...limits, keepHashes });
+    if (dryRun || !plan.remove.length) return { dryRun, ...limits, ...plan, deleted: [] };
+
+    const debrid = providerFor(creds);
+    const deleted = [];
+    for (const item of plan.remove) {
+      try {
+        await debrid.deleteTorrent({ apiKey: creds.debridApiKey, torrentId: item.torrentId });
+        deleted.push(item.infoHash);
+      } catch (err) {
+        logError('[CLEANUP] Hiba', { torrentId: item.torrentId, error: err?.message || String(err || '') });
+      }
+    }
+    if (deleted.length) {
+      // Re-read the ledger, a resolve may have added to it meanwhile. The
+      // removal time tells the H&R report how long the torrent seeded.
+      const removedAt = Date.now();
+      const current = await seedLedger.get(key) || [];
+      const marked = current.map((entry) => (deleted.includes(entry.infoHash) && !entry.removedAt ? { ...entry, removedAt } : entry));
+      await seedLedger.set(key, marked, LEDGER_TTL);
+      await myListCache.delete(myListKey(creds));
+      logInfo(`[CLEANUP] deleted ${deleted.length}/${plan.remove.length} torrent(s)`);
+    }
+    return { dryRun, ...limits, ...plan, deleted };
+  }
+
+  async function scheduledCleanup(creds, playedHash) {
+    if (!hasCleanupLimits(creds.preferences)) return;
+    const runKey = ledgerKey(creds);
+    if (await cleanupCache.get(runKey)) return;
+    await cleanupCache.set(runKey, true, CLEANUP_INTERVAL_MS);
+    await runCleanup(creds, { keepHashes: [playedHash] });
+  }
+
+  async function findLibraryTorrent(creds, torrentId) {
+    const debrid = providerFor(creds);
+    if (debrid.getTorrent) return debrid.getTorrent({ apiKey: creds.debridApiKey, torrentId });
+    const list = await loadMyList(creds, 5000);
+    return (list || []).find((torrent) => getTorrentId(torrent) === String(torrentId)) || null;
+  }
+
+  // Binge prefetch: after an episode resolves, add the next one to the debrid
+  // account so autoplay finds it ready. An episode is marked done only once
+  // its next episode was added, so a skipped or failed try runs again on the
+  // next resolve. Stops at the active-download cap and the hourly per-token
+  // budget.
+  async function prefetchNextEpisode({ token, creds, sel }) {
+    const imdbId = String(sel.imdbId || '');
+    if (!/^tt\d+$/.test(imdbId) || !sel.season || !sel.episode) return;
+
+    const userKey = shortHash(token);
+    const doneKey = `done|${userKey}|${imdbId}:${sel.season}:${sel.episode}`;
+    if (prefetchInFlight.has(doneKey) || await prefetchCache.get(doneKey)) return;
+    prefetchInFlight.add(doneKey);
+    try {
+      if (await addNextEpisode({ userKey, creds, sel, imdbId })) {
+        await prefetchCache.set(doneKey, true, PREFETCH_DONE_TTL);
+      }
+    } finally {
+      prefetchInFlight.delete(doneKey);
+    }
+  }
+
+  async function loadPrefetchBudget(budgetKey) {
+    return await prefetchCache.get(budgetKey) || { used: 0, resetAt: Date.now() + PREFETCH_BUDGET_WINDOW };
+  }
+
+  // -> true when the next episode was added.
+  async function addNextEpisode({ userKey, creds, sel, imdbId }) {
+    const budgetKey = `budget|${userKey}`;
+    if ((await loadPrefetchBudget(budgetKey)).used >= BINGE_PREFETCH_PER_HOUR) {
+      debugErr('prefetch-skipped', { reason: 'budget', imdbId });
+      return false;
+    }
 
+    const debrid = providerFor(creds);
+    const apiKey = creds.debridApiKey;
+    const list = await loadMyList(creds, 5000);
+    const active = (list || []).filter((t) => !isTorrentReady(t) && !isTorrentError(t)).length;
+    if (active >= BINGE_PREFETCH_MAX_ACTIVE) {
+      debugErr('prefetch-skipped', { reason: 'active-downloads', imdbId, active });
+      return false;
+    }
+    const inList = new Set((list || []).map((t) => String(t?.hash || t?.info_hash || '').toLowerCase()));
+
+    const prefs = creds.preferences;
+    for (const next of nextEpisodeTargets(sel.season, sel.episode)) {
+      const rows = await searchClient({
+        username:   creds.username,
+        password:   creds.password,
+        categories: resolveCategorySelection(prefs),
+        query:      `${imdbId}:${next.season}:${next.episode}`,
+      });
+      const candidates = filterReleases(rows, prefs).filter((r) => /^[a-f0-9]{40}$/.test(String(r.infoHash || '').toLowerCase()));
+      if (!candidates.length) continue;
+      // A season pack being watched already holds the next episode.
+      if (candidates.some((r) => inList.has(String(r.infoHash).toLowerCase()))) return false;
+
+      let cachedMap = new Map();
+      try {
+        cachedMap = await withTimeout(debrid.checkCached({ apiKey, infoHashes: candidates.map((r) => String(r.infoHash).toLowerCase()) }), 1500);
+      } catch { /* ignore */ }
+      const cachedOnly = prefs.cachePolicy === 'cached-only';
+      const pool = cachedOnly
+        ? candidates.filter((r) => passesCachedOnly(debrid, cachedMap.get(String(r.infoHash).toLowerCase())))
+        : candidates;
+      if (!pool.length) return false;
+
+      const pick = pickNextRelease(pool, sel.releaseTitle, cachedMap);
+      const magnet = normalizeMagnet(pick.magnet) || `magnet:?xt=urn:btih:${String(pick.infoHash).toLowerCase()}`;
+      const file = prefs.torrentUpload === 'file' && pick.downloadUrl
+        ? await torrentFileClient({ username: creds.username, password: creds.password, downloadUrl: pick.downloadUrl })
+        : null;
+
+      // The searches above took a while and other resolves may have used the
+      // budget meanwhile: check it again and take the slot before adding. A
+      // failed add keeps its slot, the budget limits tries.
+      const budget = await loadPrefetchBudget(budgetKey);
+      if (budget.used >= BINGE_PREFETCH_PER_HOUR) {
+        debugErr('prefetch-skipped', { reason: 'budget', imdbId });
+        return false;
+      }
+      await prefetchCache.set(budgetKey, { ...budget, used: budget.used + 1 }, Math.max(1000, budget.resetAt - Date.now()));
+
+      const seed = shouldSeed(prefs.seeding, pick.freeleech);
+      const created = await debrid.addTorrent({ apiKey, magnet: file ? null : magnet, file, addOnlyIfCached: cachedOnly, seed });
+      await myListCache.delete(myListKey(creds));
+      await recordAdded(creds, {
+        infoHash:  String(pick.infoHash).toLowerCase(),
+        torrentId: pick.id,
+        debridId:  getTorrentId(created),
+        title:     pick.title,
+        freeleech: pick.freeleech,
+        seed,
+      });
+      logInfo(`[PREFETCH] ${imdbId}:${next.season}:${next.episode} hash=${String(pick.infoHash).slice(0, 8)}...`);
+      return true;
+    }
+    return false;
+  }
+
+  // Read-only view of a resolve: never starts one, only reports the running
+  // phase, the cached result or the torrent's state in the debrid list.
+  async function resolveStatus({ token, selKey, creds }) {
+    const resolveKey = `${shortHash(token)}|${selKey}`;
+    const sel = await selections.get(selKey) || decodeSelectionKey(token, selKey);
+    if (!sel || sel.tokenBinding !== tokenBinding(token)) return null;
+
+    const base = {
+      fileName: sel.fileName || null,
+      infoHash: sel.infoHash || null,
+      inFlight: resolveInFlight.has(resolveKey),
+      state:    '',
+      progress: null,
+      error:    null,
+    };
+    if (await resolveCache.get(resolveKey)) return { ...base, phase: 'ready' };
+
+    const running = resolvePhases.get(resolveKey);
+    if (running) {
+      const { phase, state, progress, error, updatedAt } = running;
+      return { ...base, phase, state, progress, error, updatedAt };
+    }
+
+    const list = await loadMyList(creds, 5000);
+    const torrent = sel.torboxId
+      ? (list || []).find((t) => getTorrentId(t) === String(sel.torboxId)) || null
+      : findTorrent(list || [], sel.infoHash);
+    if (!torrent) return { ...base, phase: 'pending' };
+
+    const state = getTorrentState(torrent);
+    if (isTorrentReady(torrent)) return { ...base, phase: 'ready', state };
+    if (isTorrentError(torrent)) return { ...base, phase: 'failed', state, error: `${providerFor(creds).label} error` };
+    return { ...base, phase: 'downloading', state, progress: getTorrentProgress(torrent) };
+  }
+
+  return async function app(req, res) {
     const url  = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
     const path = url.pathname;
     logInfo(`[${new Date().toISOString().slice(11, 19)}] ${req.method} ${path.slice(0, 120)}`);
@@ -270,6 +667,24 @@ function createApp(deps = {}) {
       return configureHtml ? sendHtml(res, 200, configureHtml) : sendHtml(res, 500, 'Missing configure.html');
     }
 
+    // Placeholder videos ("still downloading", "not cached"): HLS playlist + MPEG-TS segment
+    const placeholderM = path.match(/^\/placeholder\/([a-z0-9-]+)\.(m3u8|ts)$/);
+    if ((req.method === 'GET' || req.method === 'HEAD') && placeholderM) {
+      const segment = placeholderSegment(placeholderM[1]);
+      if (!segment) return sendJson(res, 404, { error: 'Unknown placeholder' });
+      setCorsHeaders(res);
+      res.statusCode = 200;
+      if (placeholderM[2] === 'm3u8') {
+        res.setHeader('content-type', 'application/vnd.apple.mpegurl');
+        res.setHeader('cache-control', 'no-store');
+        return res.end(req.method === 'HEAD' ? undefined : placeholderPlaylist(`${placeholderM[1]}.ts`));
+      }
+      res.setHeader('content-type', 'video/mp2t');
+      res.setHeader('content-length', String(segment.length));
+      res.setHeader('cache-control', 'public, max-age=86400');
+      return res.end(req.method === 'HEAD' ? undefined : segment);
+    }
+
     // Token generÄ‚Ë‡lÄ‚Ë‡s
     if (req.method === 'POST' && path === '/api/config-token') {
       const raw = await readBody(req);
@@ -278,14 +693,40 @@ function createApp(deps = {}) {
         const token = encodeConfig({
           username:     p.get('username')     || '',
           password:     p.get('password')     || '',
-          torboxApiKey: p.get('torboxApiKey') || '',
+          debridProvider: p.get('debridProvider') || undefined,
+          debridApiKey: p.get('debridApiKey') || p.get('torboxApiKey') || '',
+          preferences:  preferencesFromForm(p),
         });
+
+        // Vault mode: the URL only carries an opaque ID, credentials stay on the server.
+        const vaultId   = p.get('vaultId')   || '';
+        const manageKey = p.get('manageKey') || '';
+        if (vaultId) {
+          replaceVaultEntry(vaultId, manageKey, token);
+          return sendJson(res, 200, { token: vaultId, manageKey });
+        }
+        if (p.get('storage') === 'vault') {
+          if (!isVaultEnabled()) return sendJson(res, 400, { error: 'credential vault is not enabled' });
+          const entry = createVaultEntry(token);
+          return sendJson(res, 200, { token: entry.id, manageKey: entry.manageKey });
+        }
         return sendJson(res, 200, { token });
       } catch (e) {
         return sendJson(res, 400, { error: e.message });
       }
     }
 
+    // Vault token revoke
+    if (req.method === 'POST' && path === '/api/config-token/revoke') {
+      const p = new URLSearchParams(await readBody(req));
+      try {
+        revokeVaultEntry(p.get('vaultId') || '', p.get('manageKey') || '');
+        return sendJson(res, 200, { revoked: true });
+      } catch (e) {
+        return sendJson(res, 400, { error: e.message });
+      }
+    }
+
     // Setup manifest
     if ((req.method === 'GET' || req.method === 'HEAD') && path === '/manifest.json') {
       if (req.method === 'HEAD') {
@@ -302,7 +743,7 @@ function createApp(deps = {}) {
     const manifestM = path.match(/^\/([^/]+)\/manifest\.json$/);
     if ((req.method === 'GET' || req.method === 'HEAD') && manifestM) {
       try {
-        decodeConfig(manifestM[1]);
+        const creds = decodeConfig(manifestM[1]);
         if (req.method === 'HEAD') {
           setCorsHeaders(res);
           res.statusCode = 200;
@@ -311,7 +752,13 @@ function createApp(deps = {}) {
         }
         const suffix = crypto.createHash('sha1').update(manifestM[1]).digest('hex').slice(0, 12);
         res.setHeader('cache-control', 'public, max-age=60');
-        return sendJson(res, 200, { ...MANIFEST, id: `community.ncore.web.${suffix}` });
+        return sendJson(res, 200, {
+          ...MANIFEST,
+          id:       `community.ncore.web.${suffix}`,
+          // P2P tokens without a debrid key have no library to list.
+          catalogs: manifestCatalogs(providerFor(creds).label)
+            .filter((catalog) => creds.debridApiKey || !findCatalog(catalog.type, catalog.id)?.library),
+        });
       } catch (e) {
         return sendJson(res, 400, { error: e.message });
       }
@@ -322,6 +769,121 @@ function createApp(deps = {}) {
       return sendJson(res, 200, { streams: [] });
     }
 
+    // -----------------------------------------------------------------------
+    // Catalog
+    // -----------------------------------------------------------------------
+    const catalogM = path.match(/^\/([^/]+)\/catalog\/([^/]+)\/([^/]+?)(?:\/([^/]+?))?\.json$/);
+    if (req.method === 'GET' && catalogM) {
+      const token   = catalogM[1];
+      const catalog = findCatalog(catalogM[2], catalogM[3]);
+      const { skip, search, genre } = parseExtra(catalogM[4]);
+
+      try {
+        const creds = decodeConfig(token);
+        if (!catalog) return sendJson(res, 404, { error: 'Unknown catalog' });
+
+        if (catalog.library) {
+          if (!creds.debridApiKey) return sendJson(res, 200, { metas: [] });
+          const list = await loadMyList(creds, 5000);
+          const metas = libraryToMetas(list, catalog.type, genre, providerFor(creds).label);
+          res.setHeader('cache-control', 'private, max-age=15');
+          return sendJson(res, 200, { metas: metas.slice(skip, skip + CATALOG_PAGE_SIZE) });
+        }
+
+        const categories = catalogCategories(catalog, resolveCategorySelection(creds.preferences));
+        if (!categories.length) return sendJson(res, 200, { metas: [] });
+
+        if (catalog.search) {
+          if (!search) return sendJson(res, 200, { metas: [] });
+          const rows = await nameSearchClient({
+            username: creds.username,
+            password: creds.password,
+            query:    search,
+            categories,
+          });
+          await rememberReleaseRows(rows);
+          return sendJson(res, 200, { metas: rowsToReleaseMetas(rows, catalog.type) });
+        }
+
+        if (catalog.bookmarks) {
+          // Personal listing: cached per nCore login (username and password,
+          // like the login cookie), so a token with only the right username
+          // never reads the member's bookmarks.
+          const userKey = shortHash(`${creds.username}|${creds.password}`);
+          let rows = await bookmarkCache.get(userKey);
+          if (!rows) {
+            rows = await bookmarksClient({ username: creds.username, password: creds.password });
+            await bookmarkCache.set(userKey, rows, BOOKMARK_TTL);
+            await rememberReleaseRows(rows);
+          }
+          const metas = rowsToReleaseMetas(rowsForCatalog(rows, catalog, categories), catalog.type);
+          res.setHeader('cache-control', 'private, max-age=60');
+          return sendJson(res, 200, { metas: metas.slice(skip, skip + CATALOG_PAGE_SIZE) });
+        }
+
+        // The listing is the same for every user with the same categories, only the login differs.
+        const catalogKey = [catalog.id, categories.join(',')].join('|');
+        let entry = await catalogCache.get(catalogKey);
+        if (!(entry?.expiresAt > Date.now())) {
+          entry = { state: createCatalogState(), expiresAt: Date.now() + CATALOG_TTL };
+        }
+
+        const pagesBefore = entry.state.nextPage;
+        await fillCatalogState(entry.state, {
+          catalog,
+          categories,
+          wanted: skip + CATALOG_PAGE_SIZE,
+          browse: (opts) => browseClient({ username: creds.username, password: creds.password, ...opts }),
+        });
+        // The state keeps its original expiry; only store it when it grew.
+        if (entry.state.nextPage !== pagesBefore || entry.state.done) {
+          await catalogCache.set(catalogKey, entry, entry.expiresAt - Date.now());
+        }
+
+        res.setHeader('cache-control', 'public, max-age=300');
+        return sendJson(res, 200, { metas: entry.state.metas.slice(skip, skip + CATALOG_PAGE_SIZE) });
+      } catch (e) {
+        logError('[CATALOG] Hiba', e);
+        return sendJson(res, 200, { metas: [] });
+      }
+    }
+
+    // -----------------------------------------------------------------------
+    // Meta (ncore: releases and torbox: library items)
+    // -----------------------------------------------------------------------
+    const metaM = path.match(/^\/([^/]+)\/meta\/([^/]+)\/([^/]+?)\.json$/);
+    if (req.method === 'GET' && metaM) {
+      const token   = metaM[1];
+      const metaId  = parseStreamId(metaM[3]).raw;
+      const release = parseReleaseId(metaId);
+      const libraryId = parseLibraryId(metaId);
+
+      try {
+        const creds = decodeConfig(token);
+        if (libraryId && creds.debridApiKey) {
+          const torrent = await findLibraryTorrent(creds, libraryId.torrentId);
+          if (!torrent) return sendJson(res, 404, { error: 'Meta not found' });
+          res.setHeader('cache-control', 'private, max-age=15');
+          return sendJson(res, 200, { meta: libraryToMeta(torrent, metaM[2], providerFor(creds).label) });
+        }
+        if (!release) return sendJson(res, 404, { error: 'Unknown meta id' });
+
+        const full = await releaseClient({
+          username:  creds.username,
+          password:  creds.password,
+          torrentId: release.torrentId,
+          row:       await cachedReleaseRow(release.torrentId),
+        });
+        await rememberReleaseRows([full]);
+
+        res.setHeader('cache-control', 'public, max-age=3600');
+        return sendJson(res, 200, { meta: releaseToMeta(full, metaM[2]) });
+      } catch (e) {
+        logError('[META] Hiba', e);
+        return sendJson(res, 404, { error: 'Meta not found' });
+      }
+    }
+
     // -----------------------------------------------------------------------
     // Resolve endpoint
     // -----------------------------------------------------------------------
@@ -329,17 +891,17 @@ function createApp(deps = {}) {
     if ((req.method === 'GET' || req.method === 'HEAD') && resolveM) {
       const token      = resolveM[1];
       const selKey     = resolveM[2];
-      const resolveKey = `${token}|${selKey}`;
+      const resolveKey = `${shortHash(token)}|${selKey}`;
 
       try {
         const creds = decodeConfig(token);
-        if (!creds.torboxApiKey) return sendJson(res, 400, { error: 'Nincs TorBox API kulcs' });
+        if (!creds.debridApiKey) return sendJson(res, 400, { error: 'Nincs debrid API kulcs' });
 
         // Cache hit
-        const hit = resolveCache.get(resolveKey);
-        if (hit?.expiresAt > Date.now() && hit.url) {
+        const hitUrl = await resolveCache.get(resolveKey);
+        if (hitUrl) {
           res.statusCode = 302;
-          res.setHeader('location', hit.url);
+          res.setHeader('location', hitUrl);
           return res.end();
         }
 
@@ -350,23 +912,73 @@ function createApp(deps = {}) {
         }
 
         // KivÄ‚Ë‡lasztÄ‚Ë‡s keresÄ‚Â©se
-        const sel = selections.get(selKey);
-        if (!sel || sel.expiresAt <= Date.now() || sel.token !== token) {
+        // Signed keys carry the selection themselves, so they still resolve
+        // after a restart or on another instance.
+        const sel = await selections.get(selKey) || decodeSelectionKey(token, selKey);
+        if (!sel || sel.tokenBinding !== tokenBinding(token)) {
           return sendJson(res, 404, { error: 'Selection not found or expired' });
         }
 
+        const debrid = providerFor(creds);
+
+        // Library item: the torrent is already in the debrid account, no find-or-create.
+        if (sel.torboxId) {
+          const libraryUrl = await debrid.resolveLibraryLink({
+            apiKey:    creds.debridApiKey,
+            torrentId: sel.torboxId,
+            fileId:    sel.fileId,
+          });
+          await resolveCache.set(resolveKey, libraryUrl, RESOLVE_TTL);
+          res.statusCode = 302;
+          res.setHeader('location', libraryUrl);
+          return res.end();
+        }
+
         let magnet = normalizeMagnet(sel.magnet);
         let infoHash = String(sel.infoHash || extractHash(magnet) || '').toLowerCase();
         let torrentFile = null;
         let torrentFileName = String(sel.fileName || '').trim() || null;
+        let downloadUrl = '';
+        let freeleech = Boolean(sel.freeleech);
+
+        // Private-torrent mode: the provider gets the original .torrent, the only
+        // form that may carry the passkey tracker (magnets never do). The
+        // magnet stays as fallback when the download fails.
+        const uploadFile = creds.preferences.torrentUpload === 'file';
+
+        // Selections never hold the nCore download link (it carries the
+        // member's download key) and signed keys hold no magnet either: both
+        // come from this member's nCore release, which is cheap thanks to the
+        // torrent meta cache.
+        if ((!magnet || uploadFile) && sel.torrentId) {
+          setResolvePhase(resolveKey, 'fetching-torrent');
+          try {
+            const release = await releaseClient({
+              username:  creds.username,
+              password:  creds.password,
+              torrentId: sel.torrentId,
+              row:       await cachedReleaseRow(sel.torrentId),
+            });
+            if (!infoHash || String(release.infoHash || '').toLowerCase() === infoHash) {
+              magnet = magnet || normalizeMagnet(release.magnet);
+              infoHash = String(release.infoHash || extractHash(magnet) || '').toLowerCase();
+              downloadUrl = String(release.downloadUrl || '').trim();
+              freeleech = freeleech || Boolean(release.freeleech);
+            }
+          } catch (err) {
+            debugErr('resolve-release-fallback-failed', { selKey, error: err?.message || String(err || '') });
+          }
+        }
+        if (!magnet && /^[a-f0-9]{40}$/.test(infoHash)) magnet = `magnet:?xt=urn:btih:${infoHash}`;
 
         // Fallback: when stream list could not build a magnet, fetch + parse torrent at resolve time.
-        if ((!magnet || !infoHash) && sel.downloadUrl) {
+        if ((uploadFile || !magnet || !infoHash) && downloadUrl) {
+          setResolvePhase(resolveKey, 'fetching-torrent');
           try {
-            torrentFile = await loginAndFetchTorrentFile({
+            torrentFile = await torrentFileClient({
               username: creds.username,
               password: creds.password,
-              downloadUrl: sel.downloadUrl,
+              downloadUrl,
             });
             const torrentMeta = parseTorrentMeta(torrentFile);
             infoHash = String(torrentMeta.infoHash || '').toLowerCase();
@@ -377,7 +989,10 @@ function createApp(deps = {}) {
           }
         }
 
-        if (!infoHash || (!magnet && !torrentFile)) return sendJson(res, 422, { error: 'Invalid infoHash/torrent source' });
+        if (!infoHash || (!magnet && !torrentFile)) {
+          setResolvePhase(resolveKey, 'failed', { error: 'Invalid infoHash/torrent source' });
+          return sendJson(res, 422, { error: 'Invalid infoHash/torrent source' });
+        }
         logInfo(`[RESOLVE] selected hash=${infoHash.slice(0, 8)}... selKey=${selKey}`);
         debugErr('resolve-selected', { selKey, infoHash, magnetPrefix: String(magnet || '').slice(0, 80), hasTorrentFile: Boolean(torrentFile) });
 
@@ -385,16 +1000,27 @@ function createApp(deps = {}) {
         // CACHED / ISMERETLEN: resolveLink
         let promise = resolveInFlight.get(resolveKey);
         if (!promise) {
-          promise = _resolveLink({
-            apiKey:        creds.torboxApiKey,
+          const seed = shouldSeed(creds.preferences.seeding, freeleech);
+          promise = debrid.resolveLink({
+            apiKey:        creds.debridApiKey,
             magnet,
             infoHash,
             torrentFile,
             torrentFileName,
-            preferredFile: (sel.season && sel.episode) ? null : (sel.fileName || torrentFileName),
+            preferredFile: ((sel.season && sel.episode) || sel.absoluteEpisode) ? null : (sel.fileName || torrentFileName),
             season:        sel.season,
             episode:       sel.episode,
+            absoluteEpisode: sel.absoluteEpisode,
             maxWaitMs:     RESOLVE_MAX_WAIT_MS,
+            addOnlyIfCached: creds.preferences.cachePolicy === 'cached-only',
+            seed,
+            onPhase:       (p) => setResolvePhase(resolveKey, p.phase, p),
+            // Only torrents this resolve really added go to the seeding ledger
+            // (a cached-only refusal adds nothing), with their debrid ID.
+            onAdded:       ({ torrentId }) => {
+              recordAdded(creds, { infoHash, torrentId: sel.torrentId, debridId: torrentId, title: sel.releaseTitle || torrentFileName, freeleech, seed })
+                .catch((e) => logError('[LEDGER] Hiba', e));
+            },
           });
           resolveInFlight.set(resolveKey, promise);
         }
@@ -406,23 +1032,112 @@ function createApp(deps = {}) {
           resolveInFlight.delete(resolveKey);
         }
 
-        if (!resolvedUrl) return sendJson(res, 502, { error: 'TorBox nem adott vissza URL-t' });
+        if (!resolvedUrl) {
+          const error = `${debrid.label} nem adott vissza URL-t`;
+          setResolvePhase(resolveKey, 'failed', { error });
+          return sendJson(res, 502, { error });
+        }
 
-        resolveCache.set(resolveKey, { url: resolvedUrl, expiresAt: Date.now() + RESOLVE_TTL });
+        await resolveCache.set(resolveKey, resolvedUrl, RESOLVE_TTL);
+        resolvePhases.delete(resolveKey);
+        if (creds.preferences.bingePrefetch) {
+          // Background work: the player gets its redirect right away.
+          prefetchNextEpisode({ token, creds, sel })
+            .catch((err) => logError('[PREFETCH] Hiba', err));
+        }
+        scheduledCleanup(creds, infoHash)
+          .catch((err) => logError('[CLEANUP] Hiba', err));
         res.statusCode = 302;
         res.setHeader('location', resolvedUrl);
         return res.end();
 
       } catch (e) {
         logError('[RESOLVE] Hiba', e);
-        if (e.code === 'TORBOX_NOT_READY') {
-          res.setHeader('retry-after', '30');
-          return sendJson(res, 409, { error: 'TorBox is not ready yet. Please try again.' });
+        // Not ready is not a failure: the status page reads the debrid list directly.
+        if (e.code === 'TORBOX_NOT_READY') resolvePhases.delete(resolveKey);
+        else setResolvePhase(resolveKey, 'failed', { error: e.message || 'Resolve failed' });
+        if (e.code === 'TORBOX_NOT_READY' || e.code === 'TORBOX_NOT_CACHED') {
+          // A playable clip with the download progress (or the cached-only
+          // refusal) instead of an error; it is short and never cached, so
+          // the next play resolves again.
+          const basePath = parseBasePath(process.env.APP_BASE_PATH || '');
+          const name = e.code === 'TORBOX_NOT_CACHED' ? 'not-cached' : `downloading-${clampProgress(e.progress)}`;
+          res.setHeader('cache-control', 'no-store');
+          return sendRedirect(res, 302, `${getOrigin(req)}${basePath}/placeholder/${name}.m3u8`);
         }
+        if (e.code === 'TORBOX_NOT_FOUND') return sendJson(res, 404, { error: e.message });
         return sendJson(res, 502, { error: e.message || 'Resolve failed' });
       }
     }
 
+    // -----------------------------------------------------------------------
+    // Resolve status (JSON, or HTML for browsers / .html)
+    // -----------------------------------------------------------------------
+    const statusM = path.match(/^\/([^/]+)\/status\/([^/.]+)(?:\.(json|html))?$/);
+    if (req.method === 'GET' && statusM) {
+      const token  = statusM[1];
+      const selKey = statusM[2];
+      const asHtml = statusM[3] ? statusM[3] === 'html' : String(req.headers.accept || '').includes('text/html');
+
+      try {
+        const creds = decodeConfig(token);
+        if (!creds.debridApiKey) return sendJson(res, 400, { error: 'Nincs debrid API kulcs' });
+
+        const status = await resolveStatus({ token, selKey, creds });
+        if (!status) return sendJson(res, 404, { error: 'Selection not found or expired' });
+
+        const body = { ...status, label: phaseLabel(status.phase) };
+        res.setHeader('cache-control', 'no-store');
+        return asHtml ? sendHtml(res, 200, renderStatusPage(body)) : sendJson(res, 200, body);
+      } catch (e) {
+        logError('[STATUS] Hiba', e);
+        return sendJson(res, 502, { error: e.message || 'Status failed' });
+      }
+    }
+
+    // -----------------------------------------------------------------------
+    // Hit-and-run report (JSON, or HTML for browsers / .html)
+    // -----------------------------------------------------------------------
+    const hnrM = path.match(/^\/([^/]+)\/hnr(?:\.(json|html))?$/);
+    if (req.method === 'GET' && hnrM) {
+      const asHtml = hnrM[2] ? hnrM[2] === 'html' : String(req.headers.accept || '').includes('text/html');
+
+      try {
+        const creds = decodeConfig(hnrM[1]);
+        if (!creds.debridApiKey) return sendJson(res, 400, { error: 'Nincs debrid API kulcs' });
+
+        const entries = await seedLedger.get(ledgerKey(creds)) || [];
+        const list = entries.length ? await loadMyList(creds, 5000) : [];
+        const report = { seeding: creds.preferences.seeding, ...buildHnrReport(entries, list) };
+        res.setHeader('cache-control', 'no-store');
+        return asHtml ? sendHtml(res, 200, renderHnrPage(report)) : sendJson(res, 200, report);
+      } catch (e) {
+        logError('[HNR] Hiba', e);
+        return sendJson(res, 502, { error: e.message || 'Report failed' });
+      }
+    }
+
+    // -----------------------------------------------------------------------
+    // Library cleanup: GET is the dry-run report, POST deletes
+    // -----------------------------------------------------------------------
+    const cleanupM = path.match(/^\/([^/]+)\/cleanup(?:\.json)?$/);
+    if ((req.method === 'GET' || req.method === 'POST') && cleanupM) {
+      try {
+        const creds = decodeConfig(cleanupM[1]);
+        if (!creds.debridApiKey) return sendJson(res, 400, { error: 'Nincs debrid API kulcs' });
+        if (req.method === 'POST' && !hasCleanupLimits(creds.preferences)) {
+          return sendJson(res, 400, { error: 'Nincs beállított törlési szabály' });
+        }
+
+        const result = await runCleanup(creds, { dryRun: req.method === 'GET' });
+        res.setHeader('cache-control', 'no-store');
+        return sendJson(res, 200, result);
+      } catch (e) {
+        logError('[CLEANUP] Hiba', e);
+        return sendJson(res, 502, { error: e.message || 'Cleanup failed' });
+      }
+    }
+
     // -----------------------------------------------------------------------
     // Stream lista
     // -----------------------------------------------------------------------
@@ -434,55 +1149,132 @@ function createApp(deps = {}) {
 
       try {
         const creds = decodeConfig(token);
-        if (!creds.torboxApiKey) return sendJson(res, 200, { streams: [] });
+        const p2p      = creds.preferences.streamMode === 'p2p';
+        if (!creds.debridApiKey && !p2p) return sendJson(res, 200, { streams: [] });
+        const debrid   = providerFor(creds);
         const origin   = getOrigin(req);
         const basePath = parseBasePath(process.env.APP_BASE_PATH || '');
         const streamCacheKey = [
-          token,
+          shortHash(token),
           streamType,
           parsedId.raw,
           origin,
           basePath,
         ].join('|');
-        const streamCacheHit = streamListCache.get(streamCacheKey);
-        if (streamCacheHit?.expiresAt > Date.now() && Array.isArray(streamCacheHit.streams)) {
-          return sendJson(res, 200, { streams: streamCacheHit.streams });
+        const cachedStreams = await streamListCache.get(streamCacheKey);
+        if (Array.isArray(cachedStreams)) {
+          return sendJson(res, 200, { streams: cachedStreams });
+        }
+
+        const libraryId = parseLibraryId(parsedId.raw);
+        if (libraryId) {
+          const torrent = creds.debridApiKey ? await findLibraryTorrent(creds, libraryId.torrentId) : null;
+          const streams = torrent ? [await libraryStream({ torrent, fileId: libraryId.fileId, token, parsedId, origin, basePath, label: debrid.label })] : [];
+          return sendJson(res, 200, { streams });
+        }
+
+        // Debrid availability means nothing for P2P streams.
+        const prefs = p2p ? { ...creds.preferences, cachePolicy: 'all' } : creds.preferences;
+        const resultLimit = prefs.maxResults || STREAM_RESULT_LIMIT;
+        const releaseId = parseReleaseId(parsedId.raw);
+        const kitsuId   = parseKitsuId(parsedId.raw);
+        // Episode the resolver should pick; Kitsu adds the absolute number.
+        let target = { imdbId: parsedId.imdbId || null, season: parsedId.season, episode: parsedId.episode, absoluteEpisode: null };
+        let candidates;
+        if (releaseId) {
+          // The user picked this exact release in the search catalog, so the
+          // release filters are not applied to it.
+          const release = await releaseClient({
+            username:  creds.username,
+            password:  creds.password,
+            torrentId: releaseId.torrentId,
+            row:       await cachedReleaseRow(releaseId.torrentId),
+            fileIdx:   releaseId.fileIdx,
+            withPasskey: p2p,
+          });
+          candidates = [{ ...release, release: describeRelease(release) }];
+        } else {
+          let search = { query: parsedId.raw };
+          if (kitsuId) {
+            let mapped;
+            try {
+              mapped = await withTimeout(kitsuResolver(kitsuId), 5000);
+            } catch (err) {
+              // Without the mapping there is nothing to search for; an
+              // unreachable Kitsu addon is not a stream error.
+              logError('[STREAM] Kitsu mapping failed', { kitsuId: kitsuId.kitsuId, error: err?.message || String(err || '') });
+              return sendJson(res, 200, { streams: [] });
+            }
+            target = { imdbId: mapped.imdbId || null, season: mapped.season, episode: mapped.episode, absoluteEpisode: mapped.absoluteEpisode };
+            search = {
+              query: mapped.imdbId && mapped.season && mapped.episode
+                ? `${mapped.imdbId}:${mapped.season}:${mapped.episode}`
+                : mapped.imdbId,
+              title: mapped.title,
+              absoluteEpisode: mapped.absoluteEpisode,
+            };
+          }
+
+          // nCore kereses
+          const results = await searchClient({
+            username:   creds.username,
+            password:   creds.password,
+            categories: resolveCategorySelection(prefs),
+            withPasskey: p2p,
+            ...search,
+          });
+          // Cached-only and availability sorts reorder/hide items, so look further
+          // down the list to still fill the limit with the best candidates.
+          const wideScan = prefs.cachePolicy !== 'all' || usesAvailability(prefs.sort);
+          candidates = filterReleases(results, prefs)
+            .slice(0, wideScan ? Math.max(resultLimit, STREAM_CANDIDATE_LIMIT) : resultLimit);
         }
 
-        // nCore kereses
-        const results = await searchClient({ username: creds.username, password: creds.password, query: parsedId.raw });
+        // P2P mode: native torrent streams straight from the nCore results.
+        if (p2p) {
+          const p2pEntries = [];
+          for (const item of candidates) {
+            const infoHash = String(item.infoHash || extractHash(normalizeMagnet(item.magnet)) || '').toLowerCase();
+            const sources  = (item.sources || []).filter((source) => String(source).startsWith('tracker:'));
+            if (!/^[a-f0-9]{40}$/.test(infoHash) || !sources.length) continue;
+            p2pEntries.push({ item, infoHash, sources, availability: 'unknown' });
+          }
+          const streams = sortStreamEntries(p2pEntries, prefs)
+            .slice(0, resultLimit)
+            .map((entry) => p2pStream(entry, prefs));
+
+          // The tracker URLs carry the passkey: such lists stay out of the
+          // shared stream cache (it may be a file or Redis) and out of HTTP caches.
+          res.setHeader('cache-control', 'private, no-store');
+          if (!streams.some((stream) => stream.sources.some(hasPasskey))) {
+            await streamListCache.set(streamCacheKey, streams, STREAM_LIST_TTL_MS);
+          }
+          return sendJson(res, 200, { streams });
+        }
 
-        // TorBox mylist (rÄ‚Â¶vid cache)
+        // Debrid mylist (rÄ‚Â¶vid cache)
         let myListByHash = new Map();
         try {
-          const key   = shortHash(creds.torboxApiKey);
-          const entry = myListCache.get(key);
-          let list;
-          if (entry?.expiresAt > Date.now()) {
-            list = entry.list;
-          } else {
-            list = await withTimeout(_getMyTorrents({ apiKey: creds.torboxApiKey }), 2000);
-            myListCache.set(key, { list, expiresAt: Date.now() + MYLIST_TTL });
-          }
+          const list = await loadMyList(creds, 2000);
           for (const t of list || []) {
             const h = String(t?.hash || t?.info_hash || '').toLowerCase();
             if (/^[a-f0-9]{40}$/.test(h)) myListByHash.set(h, t);
           }
         } catch { /* ignore */ }
-        // TorBox global cache check (top 30).
+        // Provider-wide cache check (top 30).
         let cachedMap = new Map();
         if (ENABLE_STREAM_CACHE_PRECHECK) {
           try {
-            const hashes = results.slice(0, STREAM_RESULT_LIMIT)
+            const hashes = candidates
               .map(r => String(r.infoHash || extractHash(normalizeMagnet(r.magnet)) || '').toLowerCase())
               .filter(Boolean);
-            cachedMap = await withTimeout(_checkCached({ apiKey: creds.torboxApiKey, infoHashes: hashes }), 1500);
+            cachedMap = await withTimeout(debrid.checkCached({ apiKey: creds.debridApiKey, infoHashes: hashes }), 1500);
           } catch { /* ignore */ }
         }
 
-        const streams  = [];
+        const entries = [];
 
-        for (const item of results.slice(0, STREAM_RESULT_LIMIT)) {
+        for (const item of candidates) {
           const magnet   = normalizeMagnet(item.magnet);
           const infoHash = String(item.infoHash || extractHash(magnet) || '').toLowerCase();
           const downloadUrl = String(item.downloadUrl || '').trim();
@@ -499,7 +1291,30 @@ function createApp(deps = {}) {
           else if (globalCached != null) cached = globalCached;
           else                           cached = null;
 
-          const selKey = buildSelectionKey({
+          if (prefs.cachePolicy === 'cached-only' && !passesCachedOnly(debrid, cached)) continue;
+
+          entries.push({
+            item, magnet, infoHash, downloadUrl, inMyList, isReady, cached,
+            availability: availabilityOf({ inMyList, isReady, globalCached }),
+          });
+        }
+
+        const streams  = [];
+
+        for (const entry of sortStreamEntries(entries, prefs).slice(0, resultLimit)) {
+          const { item, magnet, infoHash, downloadUrl, inMyList, isReady, cached } = entry;
+          const signedKey = encodeSelectionKey(token, {
+            infoHash,
+            torrentId: item.id,
+            fileName:  item.fileName,
+            season:    target.season,
+            episode:   target.episode,
+            absoluteEpisode: target.absoluteEpisode,
+            imdbId:    target.imdbId,
+            releaseTitle: item.title,
+            freeleech: item.freeleech || null,
+          });
+          const selKey = signedKey || buildSelectionKey({
             token,
             parsedIdRaw: parsedId.raw,
             infoHash,
@@ -507,54 +1322,64 @@ function createApp(deps = {}) {
             downloadUrl,
             magnet,
           });
-          selections.set(selKey, {
-            token, magnet, infoHash, downloadUrl,
-            fileName: item.fileName,
-            season:   parsedId.season,
-            episode:  parsedId.episode,
-            cached,
-            expiresAt: Date.now() + SELECTION_TTL,
-          });
+          // Signed keys are decoded at resolve time; only the fallback keys
+          // point into the selection cache.
+          if (!signedKey) {
+            await selections.set(selKey, {
+              tokenBinding: tokenBinding(token), magnet, infoHash,
+              torrentId: item.id,
+              freeleech: Boolean(item.freeleech),
+              fileName: item.fileName,
+              season:   target.season,
+              episode:  target.episode,
+              absoluteEpisode: target.absoluteEpisode,
+              imdbId:   target.imdbId,
+              releaseTitle: item.title,
+              cached,
+            }, SELECTION_TTL);
+          }
           debugErr('stream-selection-created', { selKey, infoHash, title: item.title || '' });
 
           const quality = inferQuality(item.title);
           const size    = formatSize(item.sizeBytes);
-          const cat     = readableCategory(item.category);
+          const cat     = categoryLabel(item.category);
+          const lang    = item.release?.language;
+          // With a language preference the short tag is promoted into the stream name.
+          const langTag = prefs.language !== 'any' ? languageTag(lang) : '';
 
           let tag, statusLine;
           if (inMyList && !isReady) {
             const st  = getTorrentState(inMyList);
             const pct = getTorrentProgress(inMyList);
             tag        = `[${st.toUpperCase()}${pct ? ` ${pct}%` : ''}]`;
-            statusLine = `TorBox: ${st}${pct ? ` ${pct}%` : ''}`;
+            statusLine = `${debrid.label}: ${st}${pct ? ` ${pct}%` : ''}`;
           } else if (cached === true) {
-            tag = '[CACHED]'; statusLine = 'TorBox: Cached';
+            tag = '[CACHED]'; statusLine = `${debrid.label}: Cached`;
           } else if (cached === false) {
-            tag = '[UNCACHED]'; statusLine = 'TorBox: Uncached';
+            tag = '[UNCACHED]'; statusLine = `${debrid.label}: Uncached`;
           } else {
-            tag = '[?]'; statusLine = 'TorBox: ?';
+            tag = '[?]'; statusLine = `${debrid.label}: ?`;
           }
 
           streams.push({
-            name:  `nCore\nTorBox ${[tag, quality].filter(Boolean).join(' ')}`,
+            name:  `nCore\n${debrid.label} ${[tag, quality, langTag].filter(Boolean).join(' ')}`,
             title: [
               item.title,
               statusLine,
+              languageLabel(lang),
+              matchWarning(item.matchConfidence),
               [`S:${Number(item.seeders) || 0}`, size, cat, item.freeleech ? 'Freeleech' : ''].filter(Boolean).join(' | '),
-              item.imdbRating ? `IMDb ${item.imdbRating} | nCore + TorBox` : 'nCore + TorBox',
+              item.imdbRating ? `IMDb ${item.imdbRating} | nCore + ${debrid.label}` : `nCore + ${debrid.label}`,
             ].filter(Boolean).join('\n'),
             url: `${origin}${basePath}/${token}/resolve/${selKey}`,
             behaviorHints: {
               notWebReady: true,
-              bingeGroup:  `nCore-TorBox-${quality || 'default'}`,
+              bingeGroup:  `nCore-${debrid.label}-${quality || 'default'}`,
             },
           });
         }
 
-        streamListCache.set(streamCacheKey, {
-          streams,
-          expiresAt: Date.now() + STREAM_LIST_TTL_MS,
-        });
+        await streamListCache.set(streamCacheKey, streams, STREAM_LIST_TTL_MS);
 
         return sendJson(res, 200, { streams });
 
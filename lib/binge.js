@@ -0,0 +1,56 @@
+'use strict';
+
+const { describeRelease } = require('./release-filter');
+
+// Binge prefetch helpers. After an episode resolves, the next one is looked
+// up and added to the debrid account so that autoplay finds it ready. The caps
+// are server wide: a user may have at most BINGE_PREFETCH_MAX_ACTIVE unfinished
+// debrid downloads before prefetch stops adding, and BINGE_PREFETCH_PER_HOUR adds
+// per token and hour.
+const BINGE_PREFETCH_MAX_ACTIVE = toNonNegativeInt(process.env.BINGE_PREFETCH_MAX_ACTIVE, 2);
+const BINGE_PREFETCH_PER_HOUR = toNonNegativeInt(process.env.BINGE_PREFETCH_PER_HOUR, 4);
+
+function toNonNegativeInt(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// Next episode of the season, then the season opener of the next one (used
+// when the current episode was the finale).
+function nextEpisodeTargets(season, episode) {
+  const s = Number(season);
+  const e = Number(episode);
+  if (!Number.isInteger(s) || s < 1 || !Number.isInteger(e) || e < 1) return [];
+  return [{ season: s, episode: e + 1 }, { season: s + 1, episode: 1 }];
+}
+
+// Prefers the release group of the episode being watched, then its quality,
+// then cached releases; ties keep the incoming (nCore) order.
+// `cachedMap` is infoHash -> boolean from checkCached.
+function pickNextRelease(candidates, currentTitle, cachedMap = new Map()) {
+  const current = describeRelease({ title: currentTitle });
+  const group = current.group.toLowerCase();
+
+  let best = null;
+  let bestScore = -1;
+  for (const item of candidates || []) {
+    const release = item.release || describeRelease(item);
+    let score = 0;
+    if (group && release.group.toLowerCase() === group) score += 4;
+    if (currentTitle && release.quality === current.quality) score += 2;
+    if (cachedMap.get(String(item.infoHash || '').toLowerCase()) === true) score += 1;
+    if (score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  BINGE_PREFETCH_MAX_ACTIVE,
+  BINGE_PREFETCH_PER_HOUR,
+  nextEpisodeTargets,
+  pickNextRelease,
+};
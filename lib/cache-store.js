@@ -0,0 +1,232 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+let logError = (...args) => console.error(...args);
+try {
+  ({ logError } = require('./logger')); // optional in older deployments
+} catch {
+  // Fallback to console.error when logger module is missing on server.
+}
+
+// Shared cache adapter for the per-process state (selections, resolve URLs,
+// TorBox lists, nCore login cookies...). Every store has the same async API:
+//   get(key) -> value | null, set(key, value, ttlMs), delete(key)
+// Values must be JSON-serializable. The backend is picked by CACHE_BACKEND:
+//   memory (default) - process memory, lost on restart
+//   file             - one JSON file per namespace in CACHE_DIR, for a single
+//                      instance; several instances need redis
+//   redis            - any Redis-protocol server at REDIS_URL
+// Backend failures are logged and behave like a cache miss, so a flaky cache
+// never fails a request on its own. Every backend stores a serialized copy and
+// get() returns a fresh one, so mutating a value never changes the cache.
+// `maxEntries` caps long-lived memory/file stores (oldest entries go first);
+// Redis relies on the TTLs and its own eviction policy. `memoryOnly` keeps a
+// store in process memory whatever the backend, for secrets that must never
+// reach a shared cache.
+const CACHE_BACKEND = String(process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+const CACHE_DIR = String(process.env.CACHE_DIR || '.cache').trim();
+const CACHE_PREFIX = String(process.env.CACHE_PREFIX || 'ncore-addon:');
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function isLive(entry, now = Date.now()) {
+  return Boolean(entry) && entry.expiresAt > now;
+}
+
+function createMemoryBackend({ maxEntries = 0 } = {}) {
+  const entries = new Map(); // key -> { json, expiresAt }, insertion ordered
+  let lastPrune = Date.now();
+
+  function prune(now) {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [k, v] of entries) if (!isLive(v, now)) entries.delete(k);
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return isLive(entry) ? JSON.parse(entry.json) : null;
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      prune(now);
+      entries.delete(key);
+      entries.set(key, { json: JSON.stringify(value), expiresAt: now + ttlMs });
+      if (maxEntries && entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// Reads reuse the parsed file until it changes on disk. Writes made in the
+// same tick are batched: one flush re-reads the file, applies only the queued
+// changes and replaces it with an atomic tmp+rename (mode 0600: cookies and
+// selections are stored here), so entries another process wrote since the
+// last read are kept. set/delete resolve once their batch is on disk. Every
+// flush still rewrites the whole file synchronously, and there is no lock: two
+// processes writing at the same moment can drop one change. The file backend
+// is meant for a single low-traffic instance; use CACHE_BACKEND=redis beyond.
+function createFileBackend(namespace, { maxEntries = 0 } = {}) {
+  const file = path.join(CACHE_DIR, `${namespace.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+  let entries = {};
+  let loadedMtimeMs = -1;
+  let pending = null; // key -> entry, or null for a delete; flushed together
+  let flushed = null;
+
+  function read() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      entries = {};
+      loadedMtimeMs = -1;
+      return;
+    }
+    if (stat.mtimeMs === loadedMtimeMs) return;
+    entries = read();
+    loadedMtimeMs = stat.mtimeMs;
+  }
+
+  // Fresh read -> change -> atomic write. `change` returns false for no-ops.
+  function update(change) {
+    entries = read();
+    if (change(entries) === false) return;
+    save();
+  }
+
+  function applyPending(current, changes) {
+    let changed = false;
+    for (const [key, entry] of changes) {
+      if (entry) {
+        current[key] = entry;
+        changed = true;
+      } else if (key in current) {
+        delete current[key];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  function queue(key, entry) {
+    if (!pending) {
+      pending = new Map();
+      flushed = new Promise((resolve, reject) => setImmediate(() => {
+        const changes = pending;
+        pending = null;
+        try {
+          update((current) => applyPending(current, changes));
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      }));
+    }
+    pending.set(key, entry);
+    return flushed;
+  }
+
+  function save() {
+    const now = Date.now();
+    for (const [k, v] of Object.entries(entries)) if (!isLive(v, now)) delete entries[k];
+    const keys = Object.keys(entries);
+    if (maxEntries && keys.length > maxEntries) {
+      keys.sort((a, b) => entries[a].expiresAt - entries[b].expiresAt);
+      for (const k of keys.slice(0, keys.length - maxEntries)) delete entries[k];
+    }
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(entries), { mode: 0o600 });
+    fs.renameSync(tmpFile, file);
+    loadedMtimeMs = fs.statSync(file).mtimeMs;
+  }
+
+  return {
+    async get(key) {
+      load();
+      const entry = pending && pending.has(key) ? pending.get(key) : entries[key];
+      return isLive(entry) ? JSON.parse(JSON.stringify(entry.value)) : null;
+    },
+    async set(key, value, ttlMs) {
+      const entry = { value: JSON.parse(JSON.stringify(value)), expiresAt: Date.now() + ttlMs };
+      await queue(key, entry);
+    },
+    async delete(key) {
+      await queue(key, null);
+    },
+  };
+}
+
+function createRedisBackend(namespace) {
+  const { getRedisClient } = require('./redis-client');
+  const client = getRedisClient(process.env.REDIS_URL);
+  const fullKey = (key) => `${CACHE_PREFIX}${namespace}:${key}`;
+
+  return {
+    async get(key) {
+      const raw = await client.command(['GET', fullKey(key)]);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      await client.command(['SET', fullKey(key), JSON.stringify(value), 'PX', String(Math.max(1, Math.round(ttlMs)))]);
+    },
+    async delete(key) {
+      await client.command(['DEL', fullKey(key)]);
+    },
+  };
+}
+
+function createBackend(namespace, options) {
+  if (options.memoryOnly) return createMemoryBackend(options);
+  if (CACHE_BACKEND === 'file') return createFileBackend(namespace, options);
+  if (CACHE_BACKEND === 'redis') return createRedisBackend(namespace);
+  if (CACHE_BACKEND !== 'memory') logError('cache-backend-unknown', { backend: CACHE_BACKEND });
+  return createMemoryBackend(options);
+}
+
+function createCacheStore(namespace, options = {}) {
+  const backend = createBackend(namespace, options);
+  const label = `${options.memoryOnly ? 'memory' : CACHE_BACKEND}:${namespace}`;
+
+  return {
+    async get(key) {
+      try {
+        return await backend.get(String(key));
+      } catch (error) {
+        logError('cache-get-failed', { store: label, error: error?.message || String(error || '') });
+        return null;
+      }
+    },
+    async set(key, value, ttlMs) {
+      try {
+        await backend.set(String(key), value, ttlMs);
+      } catch (error) {
+        logError('cache-set-failed', { store: label, error: error?.message || String(error || '') });
+      }
+    },
+    async delete(key) {
+      try {
+        await backend.delete(String(key));
+      } catch (error) {
+        logError('cache-delete-failed', { store: label, error: error?.message || String(error || '') });
+      }
+    },
+  };
+}
+
+module.exports = {
+  CACHE_BACKEND,
+  createCacheStore,
+};
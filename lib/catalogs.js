@@ -0,0 +1,289 @@
+'use strict';
+
+const { filenameParse } = require('@ctrl/video-filename-parser');
+const { CATEGORIES, categoryLabel, getCategory, isCategoryAllowed } = require('./categories');
+const { LIBRARY_GENRES } = require('./library');
+const { withoutMemberKeys } = require('./passkey');
+
+const CATALOG_PAGE_SIZE = 50;
+const CATALOG_MAX_PAGES = Math.max(1, Number(process.env.NCORE_CATALOG_MAX_PAGES || 8) || 8);
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Addon-specific IDs for releases found by name search: ncore:<torrentId>[:<fileIdx>]
+const RELEASE_ID_PREFIX = 'ncore:';
+
+function categoriesOfType(type) {
+  return Object.keys(CATEGORIES).filter((slug) => CATEGORIES[slug].type === type);
+}
+
+// `sort` is nCore's `miszerint` value (fid = upload order). Catalogs with a
+// `windowMs` walk the newest uploads inside that window and rank them by
+// seeders locally, because nCore has no "seeders within a period" ordering.
+const CATALOGS = [
+  {
+    id: 'ncore-movies-new',
+    type: 'movie',
+    name: 'nCore - Új HD filmek',
+    categories: ['hd_hun', 'hd'],
+    sort: 'fid',
+  },
+  {
+    id: 'ncore-series-new',
+    type: 'series',
+    name: 'nCore - Új sorozatok',
+    categories: categoriesOfType('series'),
+    sort: 'fid',
+  },
+  {
+    id: 'ncore-movies-top-week',
+    type: 'movie',
+    name: 'nCore - A hét legtöbb seederrel',
+    categories: categoriesOfType('movie'),
+    sort: 'fid',
+    windowMs: WEEK_MS,
+  },
+  {
+    id: 'ncore-search-movie',
+    type: 'movie',
+    name: 'nCore keresés',
+    categories: categoriesOfType('movie'),
+    search: true,
+  },
+  {
+    id: 'ncore-search-series',
+    type: 'series',
+    name: 'nCore keresés',
+    categories: categoriesOfType('series'),
+    search: true,
+  },
+  {
+    id: 'ncore-bookmarks-movie',
+    type: 'movie',
+    name: 'nCore - Könyvjelzők',
+    categories: categoriesOfType('movie'),
+    bookmarks: true,
+  },
+  {
+    id: 'ncore-bookmarks-series',
+    type: 'series',
+    name: 'nCore - Könyvjelzők',
+    categories: categoriesOfType('series'),
+    bookmarks: true,
+  },
+  {
+    id: 'torbox-library-movie',
+    type: 'movie',
+    name: 'TorBox - Könyvtár',
+    categories: [],
+    library: true,
+  },
+  {
+    id: 'torbox-library-series',
+    type: 'series',
+    name: 'TorBox - Könyvtár',
+    categories: [],
+    library: true,
+  },
+];
+
+function catalogExtra({ search, library }) {
+  if (search) return [{ name: 'search', isRequired: true }];
+  if (library) return [{ name: 'genre', options: LIBRARY_GENRES, isRequired: false }, { name: 'skip', isRequired: false }];
+  return [{ name: 'skip', isRequired: false }];
+}
+
+// The library catalogs are named after the token's debrid provider; their
+// IDs stay the same for every provider.
+function manifestCatalogs(libraryLabel = 'TorBox') {
+  return CATALOGS.map((catalog) => ({
+    id: catalog.id,
+    type: catalog.type,
+    name: catalog.library ? `${libraryLabel} - Könyvtár` : catalog.name,
+    extra: catalogExtra(catalog),
+  }));
+}
+
+function findCatalog(type, id) {
+  return CATALOGS.find((catalog) => catalog.type === type && catalog.id === id) || null;
+}
+
+// Intersects the catalog categories with the user's category selection
+// (null = everything allowed).
+function catalogCategories(catalog, selection) {
+  if (!selection) return catalog.categories.slice();
+  return catalog.categories.filter((slug) => selection.includes(slug));
+}
+
+function parseExtra(raw) {
+  let decoded = String(raw || '');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // keep original when malformed encoding
+  }
+  const params = new URLSearchParams(decoded);
+  const skip = Number(params.get('skip'));
+  return {
+    skip: Number.isInteger(skip) && skip > 0 ? skip : 0,
+    search: String(params.get('search') || '').trim(),
+    genre: String(params.get('genre') || '').trim(),
+  };
+}
+
+function parseReleaseName(title, type) {
+  try {
+    return filenameParse(String(title || ''), type === 'series') || {};
+  } catch {
+    return {};
+  }
+}
+
+function posterFor(imdbId) {
+  return `https://images.metahub.space/poster/medium/${imdbId}/img`;
+}
+
+// One meta preview per IMDb ID; rows without an IMDb link cannot be opened
+// by the stream handler and are skipped.
+function rowsToMetas(rows, type, seen = new Set()) {
+  const metas = [];
+  for (const row of rows || []) {
+    const imdbId = row?.imdbId;
+    if (!imdbId || seen.has(imdbId)) continue;
+    seen.add(imdbId);
+
+    const parsed = parseReleaseName(row.title, type);
+    metas.push({
+      id: imdbId,
+      type,
+      name: parsed.title || row.title,
+      poster: posterFor(imdbId),
+      posterShape: 'poster',
+      releaseInfo: parsed.year ? String(parsed.year) : undefined,
+      description: row.title,
+    });
+  }
+  return metas;
+}
+
+function parseReleaseId(value) {
+  const match = String(value || '').match(/^ncore:(\d+)(?::(\d+))?$/);
+  if (!match) return null;
+  return { torrentId: match[1], fileIdx: match[2] != null ? Number(match[2]) : null };
+}
+
+// Rows of mixed listings (bookmarks) that belong to this catalog. Rows without
+// a known category are sorted by their name: SxxEyy / Sxx means series.
+function rowsForCatalog(rows, catalog, categories) {
+  return (rows || []).filter((row) => {
+    const known = getCategory(row?.category);
+    const type = known ? known.type : (/\bS\d{1,2}(?:E\d{1,3})?\b/i.test(row?.title || '') ? 'series' : 'movie');
+    return type === catalog.type && isCategoryAllowed(row.category, categories);
+  });
+}
+
+function releaseDescription(row) {
+  return [
+    row.title,
+    [categoryLabel(row.category), row.seeders ? `S:${Number(row.seeders) || 0}` : '', row.imdbId || ''].filter(Boolean).join(' | '),
+  ].filter(Boolean).join('\n');
+}
+
+// Search results point at the release itself, so the same title can show up
+// once per release.
+function rowsToReleaseMetas(rows, type) {
+  return (rows || []).filter((row) => row?.id).map((row) => ({
+    id: `${RELEASE_ID_PREFIX}${row.id}`,
+    type,
+    name: row.title,
+    imdb_id: row.imdbId || undefined,
+    poster: row.imdbId ? posterFor(row.imdbId) : undefined,
+    posterShape: 'poster',
+    description: releaseDescription(row),
+  }));
+}
+
+// Full meta for an `ncore:` release. Series get one video per video file,
+// using the parsed SxxEyy numbers where the file name has them.
+function releaseToMeta(release, type) {
+  const id = `${RELEASE_ID_PREFIX}${release.id}`;
+  const meta = {
+    id,
+    type,
+    name: release.title,
+    imdb_id: release.imdbId || undefined,
+    poster: release.imdbId ? posterFor(release.imdbId) : undefined,
+    posterShape: 'poster',
+    description: releaseDescription(release),
+  };
+
+  if (type !== 'series') {
+    meta.behaviorHints = { defaultVideoId: id };
+    return meta;
+  }
+
+  meta.videos = (release.videoFiles || []).map((file, position) => {
+    const parsed = parseReleaseName(String(file.name || '').split('/').pop(), 'series');
+    const season = Array.isArray(parsed.seasons) && parsed.seasons.length ? parsed.seasons[0] : 1;
+    const episode = Array.isArray(parsed.episodeNumbers) && parsed.episodeNumbers.length ? parsed.episodeNumbers[0] : position + 1;
+    return {
+      id: `${id}:${file.index}`,
+      title: String(file.name || '').split('/').pop(),
+      season,
+      episode,
+      released: new Date(release.uploadedAt || Date.now()).toISOString(),
+    };
+  });
+  return meta;
+}
+
+function createCatalogState() {
+  // Plain JSON (seen is an array) so the state can live in the cache store.
+  return { metas: [], seen: [], rows: [], nextPage: 1, lastPage: 1, done: false };
+}
+
+// Walks nCore listing pages until `wanted` metas are collected. The state
+// object is kept between requests, so deeper `skip` values continue where
+// the previous page stopped instead of starting from page 1 again.
+async function fillCatalogState(state, { catalog, categories, browse, wanted }) {
+  const seen = new Set(state.seen);
+  while (!state.done && state.metas.length < wanted && state.nextPage <= CATALOG_MAX_PAGES) {
+    const { rows, lastPage } = await browse({ categories, sort: catalog.sort, page: state.nextPage });
+    state.lastPage = Math.max(state.lastPage, lastPage || 1);
+    state.nextPage += 1;
+
+    if (catalog.windowMs) {
+      const since = Date.now() - catalog.windowMs;
+      const fresh = rows.filter((row) => !row.uploadedAt || row.uploadedAt >= since);
+      // The state is cached for every member with these categories.
+      state.rows.push(...fresh.map(withoutMemberKeys));
+      // Upload order: once older rows show up, the window is exhausted.
+      if (fresh.length < rows.length) state.done = true;
+    } else {
+      state.metas.push(...rowsToMetas(rows, catalog.type, seen));
+    }
+
+    if (!rows.length || state.nextPage > state.lastPage) state.done = true;
+  }
+
+  if (catalog.windowMs && (state.done || state.nextPage > CATALOG_MAX_PAGES)) {
+    const ranked = state.rows.slice().sort((a, b) => (Number(b.seeders) || 0) - (Number(a.seeders) || 0));
+    state.metas = rowsToMetas(ranked, catalog.type);
+    state.done = true;
+  }
+  state.seen = Array.from(seen);
+  return state;
+}
+
+module.exports = {
+  CATALOG_PAGE_SIZE,
+  manifestCatalogs,
+  findCatalog,
+  catalogCategories,
+  parseExtra,
+  parseReleaseId,
+  rowsForCatalog,
+  rowsToMetas,
+  rowsToReleaseMetas,
+  releaseToMeta,
+  createCatalogState,
+  fillCatalogState,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+// nCore video categories (the `tipus` slug of a search row). The HU variants
+// hold releases with Hungarian audio; EN ones are foreign releases that may
+// only carry Hungarian subtitles.
+const CATEGORIES = {
+  xvid_hun:    { label: 'Film SD/HU',       type: 'movie',  hun: true },
+  xvid:        { label: 'Film SD/EN',       type: 'movie',  hun: false },
+  dvd_hun:     { label: 'Film DVDR/HU',     type: 'movie',  hun: true },
+  dvd:         { label: 'Film DVDR/EN',     type: 'movie',  hun: false },
+  dvd9_hun:    { label: 'Film DVD9/HU',     type: 'movie',  hun: true },
+  dvd9:        { label: 'Film DVD9/EN',     type: 'movie',  hun: false },
+  hd_hun:      { label: 'Film HD/HU',       type: 'movie',  hun: true },
+  hd:          { label: 'Film HD/EN',       type: 'movie',  hun: false },
+  xvidser_hun: { label: 'Sorozat SD/HU',    type: 'series', hun: true },
+  xvidser:     { label: 'Sorozat SD/EN',    type: 'series', hun: false },
+  dvdser_hun:  { label: 'Sorozat DVDR/HU',  type: 'series', hun: true },
+  dvdser:      { label: 'Sorozat DVDR/EN',  type: 'series', hun: false },
+  hdser_hun:   { label: 'Sorozat HD/HU',    type: 'series', hun: true },
+  hdser:       { label: 'Sorozat HD/EN',    type: 'series', hun: false },
+};
+
+function normalizeCategory(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function getCategory(value) {
+  return CATEGORIES[normalizeCategory(value)] || null;
+}
+
+// Turns the per-user allow/deny lists into the category set to search in.
+// Returns null when every category is allowed (no nCore category filter).
+function resolveCategorySelection({ categories, excludeCategories } = {}) {
+  const allow = (categories || []).map(normalizeCategory).filter((slug) => CATEGORIES[slug]);
+  const deny = new Set((excludeCategories || []).map(normalizeCategory));
+  if (!allow.length && !deny.size) return null;
+
+  const base = allow.length ? allow : Object.keys(CATEGORIES);
+  return base.filter((slug) => !deny.has(slug));
+}
+
+// Rows without a category (legacy HTML results) cannot be judged and are kept.
+function isCategoryAllowed(value, selection) {
+  if (!selection) return true;
+  const slug = normalizeCategory(value);
+  return !slug || selection.includes(slug);
+}
+
+function categoryLabel(value) {
+  const known = getCategory(value);
+  if (known) return known.label;
+  return String(value || '').split('_').map((part) => part.toUpperCase()).join(' ');
+}
+
+module.exports = {
+  CATEGORIES,
+  normalizeCategory,
+  getCategory,
+  categoryLabel,
+  resolveCategorySelection,
+  isCategoryAllowed,
+};
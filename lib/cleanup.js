@@ -0,0 +1,65 @@
+'use strict';
+
+const { getTorrentId } = require('./torbox-client');
+const { hnrStatus } = require('./seeding');
+
+// Library cleanup for the torrents the addon added (the seeding ledger):
+// torrents older than the age limit go, then the oldest ones until the
+// addon's torrents fit under the size limit. A library torrent is only
+// touched when its debrid ID is the one recorded when the addon added it, so
+// torrents the user added by hand (even with the same infoHash) and entries
+// already removed are left alone. Torrents still in their hit-and-run seed
+// window are kept, like the `keepHashes` ones (the torrent being played).
+// 0 switches a limit off.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+function hasCleanupLimits({ cleanupAfterDays, cleanupMaxSizeGb }) {
+  return cleanupAfterDays > 0 || cleanupMaxSizeGb > 0;
+}
+
+// -> { totalSize, remainingSize, remove: [...], keep: [...] }, nothing deleted.
+function planCleanup(entries, list, { cleanupAfterDays = 0, cleanupMaxSizeGb = 0, keepHashes = [] } = {}, now = Date.now()) {
+  const torrents = (Array.isArray(entries) ? entries : [])
+    .filter((entry) => !entry.removedAt && entry.debridId)
+    .map((entry) => {
+      const torrent = (list || []).find((item) => getTorrentId(item) === String(entry.debridId));
+      if (!torrent) return null;
+      return {
+        title:     entry.title || '',
+        infoHash:  entry.infoHash,
+        torrentId: String(entry.debridId),
+        size:      Number(torrent.size) || 0,
+        addedAt:   new Date(entry.addedAt).toISOString(),
+        status:    hnrStatus(entry, torrent, now).status,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.addedAt) - Date.parse(b.addedAt));
+
+  const totalSize = torrents.reduce((sum, item) => sum + item.size, 0);
+  let remainingSize = totalSize;
+  const remove = [];
+  const keep = [];
+  for (const item of torrents) {
+    const tooOld = cleanupAfterDays > 0 && now - Date.parse(item.addedAt) >= cleanupAfterDays * DAY_MS;
+    const overSize = cleanupMaxSizeGb > 0 && remainingSize > cleanupMaxSizeGb * GB;
+    if (!tooOld && !overSize) {
+      keep.push(item);
+    } else if (item.status === 'seeding') {
+      keep.push({ ...item, reason: 'seeding' });
+    } else if (keepHashes.includes(item.infoHash)) {
+      keep.push({ ...item, reason: 'playing' });
+    } else {
+      remove.push({ ...item, reason: tooOld ? 'age' : 'size' });
+      remainingSize -= item.size;
+    }
+  }
+
+  return { totalSize, remainingSize, remove, keep };
+}
+
+module.exports = {
+  hasCleanupLimits,
+  planCleanup,
+};
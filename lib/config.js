@@ -1,6 +1,25 @@
+const crypto = require('node:crypto');
+const { getKeyring, hasSecrets } = require('./secrets');
+const { isVaultId, lookupVaultToken } = require('./vault');
+const { normalizePreferences, compactPreferences } = require('./preferences');
+const { DEFAULT_PROVIDER, PROVIDER_IDS } = require('./debrid');
+let logWarn = (...args) => console.warn(...args);
+try {
+  ({ logWarn } = require('./logger')); // optional in older deployments
+} catch {
+  // Fallback to console.warn when logger module is missing on server.
+}
+
 const VERSION = 2;
+const ENCRYPTED_VERSION = 3;
+const ENCRYPTED_PREFIX = 'v3.';
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_PURPOSE = 'config-token';
+let plainTokenWarningLogged = false;
 
-function isLikelyTorboxApiKey(value) {
+function isLikelyDebridApiKey(value) {
   const key = String(value || '').trim();
   if (!key) return false;
   if (/\s/.test(key)) return false;
@@ -10,20 +29,84 @@ function isLikelyTorboxApiKey(value) {
   return /^[A-Za-z0-9._-]{20,128}$/.test(key);
 }
 
-function encodeConfig({ username, password, torboxApiKey }) {
-  if (!username || !password || !torboxApiKey) {
-    throw new Error('username, password and torboxApiKey are required');
+// `torboxApiKey` is still accepted as the API key of the default provider.
+// The provider is only stored (`d`) when it is not TorBox, so TorBox tokens
+// keep their old shape. P2P-mode tokens may come without an API key.
+function encodeConfig({ username, password, debridProvider = DEFAULT_PROVIDER, debridApiKey, torboxApiKey, preferences }) {
+  const apiKey = debridApiKey || torboxApiKey;
+  const p2p = normalizePreferences(preferences).streamMode === 'p2p';
+  if (!username || !password || (!apiKey && !p2p)) {
+    throw new Error('username, password and debridApiKey are required');
   }
-  if (!isLikelyTorboxApiKey(torboxApiKey)) {
-    throw new Error('invalid torboxApiKey format');
+  if (!PROVIDER_IDS.includes(debridProvider)) {
+    throw new Error('unknown debridProvider');
   }
+  if (apiKey && !isLikelyDebridApiKey(apiKey)) {
+    throw new Error('invalid debridApiKey format');
+  }
+
+  const body = { u: username, p: password };
+  if (apiKey) body.t = apiKey;
+  if (debridProvider !== DEFAULT_PROVIDER) body.d = debridProvider;
+  const compact = compactPreferences(preferences);
+  if (compact) body.o = compact;
 
-  const payload = JSON.stringify({ v: VERSION, u: username, p: password, t: torboxApiKey });
+  // Without a configured secret we keep emitting the legacy plain v2 token.
+  if (hasSecrets()) {
+    return encryptPayload({ v: ENCRYPTED_VERSION, ...body });
+  }
+
+  const payload = JSON.stringify({ v: VERSION, ...body });
   return Buffer.from(payload, 'utf8').toString('base64url');
 }
 
-function decodeConfig(token) {
-  if (!token) throw new Error('missing config token');
+// Logged once per process at startup: without CONFIG_SECRETS encodeConfig
+// hands out plain tokens that carry the credentials readable.
+function warnIfPlainTokens() {
+  if (hasSecrets() || plainTokenWarningLogged) return;
+  plainTokenWarningLogged = true;
+  logWarn('CONFIG_SECRETS is not set: config tokens are not encrypted and carry the nCore and debrid credentials in plain base64url');
+}
+
+function encryptPayload(payload) {
+  const [active] = getKeyring(KEY_PURPOSE);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, active.key, iv);
+  cipher.setAAD(Buffer.from(active.id, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  const sealed = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+  return `${ENCRYPTED_PREFIX}${active.id}.${sealed}`;
+}
+
+function decryptPayload(token) {
+  const [, keyId, sealed] = token.split('.');
+  if (!keyId || !sealed) throw new Error('invalid config token encoding');
+
+  const raw = Buffer.from(sealed, 'base64url');
+  if (raw.length <= IV_BYTES + TAG_BYTES) throw new Error('invalid config token encoding');
+
+  const candidates = getKeyring(KEY_PURPOSE).filter((entry) => entry.id === keyId);
+  if (!candidates.length) throw new Error('unknown config token key');
+
+  const iv = raw.subarray(0, IV_BYTES);
+  const tag = raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const ciphertext = raw.subarray(IV_BYTES + TAG_BYTES);
+
+  for (const entry of candidates) {
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, entry.key, iv);
+      decipher.setAAD(Buffer.from(entry.id, 'utf8'));
+      decipher.setAuthTag(tag);
+      const json = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+      return JSON.parse(json);
+    } catch {
+      // try the next secret with a colliding key id
+    }
+  }
+  throw new Error('invalid config token signature');
+}
+
+function decodeLegacyPayload(token) {
   let json;
   try {
     json = Buffer.from(token, 'base64url').toString('utf8');
@@ -31,32 +114,61 @@ function decodeConfig(token) {
     throw new Error('invalid config token encoding');
   }
 
-  let parsed;
   try {
-    parsed = JSON.parse(json);
+    return JSON.parse(json);
   } catch {
     throw new Error('invalid config token json');
   }
+}
+
+function decodeConfig(token) {
+  if (!token) throw new Error('missing config token');
+  if (isVaultId(token)) {
+    const stored = lookupVaultToken(token);
+    if (!stored || isVaultId(stored)) throw new Error('unknown or revoked config token');
+    return decodeConfig(stored);
+  }
+
+  const encrypted = String(token).startsWith(ENCRYPTED_PREFIX);
+  const parsed = encrypted ? decryptPayload(String(token)) : decodeLegacyPayload(token);
 
   if (!parsed || !parsed.u || !parsed.p) {
     throw new Error('invalid config token payload');
   }
 
-  if (parsed.v === 1) {
-    return { username: parsed.u, password: parsed.p, torboxApiKey: '' };
+  if (!encrypted && parsed.v === 1) {
+    return {
+      username: parsed.u,
+      password: parsed.p,
+      debridProvider: DEFAULT_PROVIDER,
+      debridApiKey: '',
+      preferences: normalizePreferences(null),
+    };
   }
 
-  if (parsed.v !== VERSION || !parsed.t) {
+  const expectedVersion = encrypted ? ENCRYPTED_VERSION : VERSION;
+  if (parsed.v !== expectedVersion) {
+    throw new Error('invalid config token payload');
+  }
+  const preferences = normalizePreferences(parsed.o);
+  if (parsed.t ? !isLikelyDebridApiKey(parsed.t) : preferences.streamMode !== 'p2p') {
     throw new Error('invalid config token payload');
   }
-  if (!isLikelyTorboxApiKey(parsed.t)) {
+  if (parsed.d != null && !PROVIDER_IDS.includes(parsed.d)) {
     throw new Error('invalid config token payload');
   }
 
-  return { username: parsed.u, password: parsed.p, torboxApiKey: parsed.t };
+  return {
+    username: parsed.u,
+    password: parsed.p,
+    debridProvider: parsed.d || DEFAULT_PROVIDER,
+    debridApiKey: parsed.t || '',
+    preferences,
+  };
 }
 
 module.exports = {
   encodeConfig,
   decodeConfig,
+  warnIfPlainTokens,
 };
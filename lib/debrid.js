@@ -0,0 +1,67 @@
+'use strict';
+
+const torbox = require('./torbox-client');
+const realdebrid = require('./realdebrid-client');
+
+// Debrid providers. Every provider implements the torbox-client surface:
+//   checkCached({ apiKey, infoHashes })        -> Map(hash -> true|false|null)
+//   getMyTorrents({ apiKey })                  -> torrents in TorBox shape
+//   getTorrent({ apiKey, torrentId })          -> one torrent (optional)
+//   addTorrent({ apiKey, magnet, file, addOnlyIfCached, seed }) -> response
+//                 holding the new torrent's ID (see getTorrentId)
+//   deleteTorrent({ apiKey, torrentId })
+//   resolveLink({ apiKey, magnet, infoHash, torrentFile, preferredFile,
+//                 season, episode, absoluteEpisode, maxWaitMs,
+//                 addOnlyIfCached, seed, onPhase, onAdded })  -> direct URL
+//     onAdded({ torrentId }) is called when the resolve added the torrent
+//   resolveLibraryLink({ apiKey, torrentId, fileId }) -> direct URL
+// Progress is read from the listed torrents with the torbox-client helpers,
+// and errors keep the TORBOX_NOT_READY / TORBOX_NOT_CACHED /
+// TORBOX_NOT_FOUND codes whichever provider raised them. `seed` (true/false
+// from the seeding policy) is ignored by providers without `seedControl`.
+// Providers without `cacheCheck` answer every checkCached with null (unknown).
+const DEFAULT_PROVIDER = 'torbox';
+const PROVIDERS = {
+  torbox: {
+    id: 'torbox',
+    label: 'TorBox',
+    seedControl: true,
+    cacheCheck: true,
+    checkCached: torbox.checkCached,
+    getMyTorrents: torbox.getMyTorrents,
+    addTorrent: torbox.addTorrent,
+    deleteTorrent: ({ apiKey, torrentId }) => torbox.controlTorrent({ apiKey, torrentId, operation: 'delete' }),
+    resolveLink: torbox.resolveLink,
+    resolveLibraryLink: torbox.resolveLibraryLink,
+  },
+  realdebrid: {
+    id: 'realdebrid',
+    label: 'Real-Debrid',
+    seedControl: false,
+    cacheCheck: false,
+    checkCached: realdebrid.checkCached,
+    getMyTorrents: realdebrid.getMyTorrents,
+    getTorrent: realdebrid.getTorrent,
+    addTorrent: realdebrid.addTorrent,
+    deleteTorrent: realdebrid.deleteTorrent,
+    resolveLink: realdebrid.resolveLink,
+    resolveLibraryLink: realdebrid.resolveLibraryLink,
+  },
+};
+const PROVIDER_IDS = Object.keys(PROVIDERS);
+
+function normalizeProviderId(value) {
+  const id = String(value || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+  return PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+}
+
+function getProvider(id) {
+  return PROVIDERS[normalizeProviderId(id)];
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  PROVIDER_IDS,
+  normalizeProviderId,
+  getProvider,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+// Episode matching shared by the nCore file matcher and the TorBox file
+// picker. A file is scored from its own name (SxxEyy / NxNN, with ranges like
+// S01E01-E03), its directory path ("Season 2/05 - Title.mkv", "S02/E05.mkv"),
+// the torrent's release title for season packs, and as a last resort its
+// position among otherwise unnumbered files. Scores are 0..1; matches below
+// LOW_CONFIDENCE are still returned so the caller can label them.
+
+const LOW_CONFIDENCE = 0.7;
+
+const SXE = /\bs(\d{1,2})\s*[._-]?\s*e(\d{1,4})(?:\s*(?:-\s*e?|e)(\d{1,4}))?(?!\d)/i;
+const NXN = /\b(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?\b/i;
+// Episode number without a season: "05 - Title", "E05", "Episode 5",
+// "5. rész", "Show - 137", "Show.137".
+const NUMBER = [
+  /^(?:e|ep|episode|epizod|epizód)?[ ._-]*(\d{1,4})(?:\s*-\s*(?:e|ep)?(\d{1,4}))?(?:v\d)?(?:[ ._-]|$)/i,
+  / - (\d{1,4})(?:\s*-\s*(\d{1,4}))?(?:v\d)?(?= |$)/,
+  /\b(?:e|ep|episode|epizod|epizód)[ ._]?(\d{1,4})(?:\s*-\s*(?:e|ep)?(\d{1,4}))?(?:v\d)?\b/i,
+  /\b(\d{1,3})\.? ?rész\b/i,
+  /[ ._](\d{2,4})(?:-(\d{2,4}))?(?:v\d)?$/,
+];
+const SEASON = [
+  /\b(?:season|seas|saison|staffel|evad|évad)[ ._-]*(\d{1,2})\b/i,
+  /\b(\d{1,2})\.?[ ._-]*(?:evad|évad)\b/i,
+  /(?:^|[ ._-])s(\d{1,2})(?![\dex])(?:[ ._-]|$)/i,
+];
+
+function splitPath(fileName) {
+  const parts = String(fileName || '').split(/[\\/]/).filter(Boolean);
+  const base = (parts.pop() || '').replace(/\.[a-z0-9]{2,4}$/i, '');
+  return { dirs: parts, base };
+}
+
+// Drops bracketed tags, resolutions, codecs and years so that "[1080p]" or
+// "x264" are not taken for episode numbers.
+function cleanName(name) {
+  return String(name || '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(/\b\d{3,4}[pi]\b|\b[xh]\.?26[45]\b|\b(?:19|20)\d{2}\b/gi, ' ')
+    .replace(/[._]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toRange(start, end) {
+  const from = Number(start);
+  const to = end != null ? Number(end) : from;
+  return to >= from && to - from < 50 ? { from, to } : { from, to: from };
+}
+
+function inRange(range, value) {
+  return value != null && range.from <= value && value <= range.to;
+}
+
+function parseSeason(text) {
+  const value = String(text || '');
+  if (SXE.test(value)) return null;
+  for (const pattern of SEASON) {
+    const match = value.match(pattern);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+// Returns { season, range } for SxxEyy/NxNN names, { number } for a bare
+// episode number, or null when the file name has no episode marker.
+function parseEpisodeName(fileName) {
+  const { base } = splitPath(fileName);
+
+  const sxe = base.match(SXE) || base.match(NXN);
+  if (sxe) return { season: Number(sxe[1]), range: toRange(sxe[2], sxe[3]) };
+
+  const cleaned = cleanName(base);
+  for (const pattern of NUMBER) {
+    const match = cleaned.match(pattern);
+    if (match) return { number: toRange(match[1], match[2]) };
+  }
+  return null;
+}
+
+// Closest directory that names a season ("Season 2", "S02", "2. évad").
+function directorySeason(fileName) {
+  const { dirs } = splitPath(fileName);
+  for (let i = dirs.length - 1; i >= 0; i -= 1) {
+    const season = parseSeason(dirs[i]);
+    if (season != null) return season;
+  }
+  return null;
+}
+
+function span(parsed) {
+  const range = parsed?.range || parsed?.number;
+  return range ? range.to - range.from + 1 : Infinity;
+}
+
+function scoreFile(fileName, { season, episode, absoluteEpisode }, packSeason) {
+  const parsed = parseEpisodeName(fileName);
+  if (!parsed) return 0;
+  const ranged = span(parsed) > 1 ? 0.9 : 1;
+
+  if (parsed.range) {
+    return parsed.season === Number(season) && inRange(parsed.range, Number(episode)) ? ranged : 0;
+  }
+
+  if (absoluteEpisode != null && inRange(parsed.number, Number(absoluteEpisode))) return 0.8 * ranged;
+  if (!inRange(parsed.number, Number(episode))) return 0;
+
+  const dirSeason = directorySeason(fileName);
+  if (dirSeason != null) return dirSeason === Number(season) ? 0.85 * ranged : 0;
+  if (packSeason != null) return packSeason === Number(season) ? 0.75 * ranged : 0;
+  // No season anywhere: plausible for season 1 / single-season torrents only.
+  return (Number(season) === 1 ? 0.6 : 0.4) * ranged;
+}
+
+function isSample(fileName) {
+  return /(^|[ ._-])sample([ ._-]|$)/i.test(splitPath(fileName).base);
+}
+
+// Torrents whose files carry no episode markers at all ("Disc 1/Title.mkv"):
+// the n-th file (by path) of the wanted season is taken as episode n.
+function scoreByOrder(files, { season, episode }, packSeason) {
+  if (files.some((file) => parseEpisodeName(file.name))) return null;
+  const sameSeason = files.filter((file) => {
+    const fileSeason = directorySeason(file.name) ?? packSeason;
+    return fileSeason == null ? Number(season) === 1 || packSeason == null : fileSeason === Number(season);
+  });
+  const ordered = sameSeason.slice().sort((a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true }));
+  const file = ordered[Number(episode) - 1];
+  return file ? { file, confidence: 0.35 } : null;
+}
+
+// -> { file, confidence } for the best file, or null. `files` items need a
+// `name` (full path inside the torrent); `size`/`length` break ties.
+function findEpisodeFile(files, target, { releaseTitle = '' } = {}) {
+  const candidates = (files || []).filter((file) => file && !isSample(file.name));
+  const packSeason = parseSeason(releaseTitle);
+
+  let best = null;
+  for (const file of candidates) {
+    const confidence = scoreFile(file.name, target, packSeason);
+    if (!confidence) continue;
+    const better = !best
+      || confidence > best.confidence
+      || (confidence === best.confidence && (Number(file.size ?? file.length) || 0) > (Number(best.file.size ?? best.file.length) || 0));
+    if (better) best = { file, confidence };
+  }
+
+  if (best || !target?.episode) return best;
+  return scoreByOrder(candidates, target, packSeason);
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  parseEpisodeName,
+  findEpisodeFile,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const { fetch } = require('./fetch');
+const { createCacheStore } = require('./cache-store');
+
+// Kitsu IDs (kitsu:<animeId>[:<episode>]) are mapped to IMDb through the
+// public Anime Kitsu addon meta, which carries imdb_id and per-episode
+// imdbSeason/imdbEpisode. The Kitsu episode number is kept as the absolute
+// episode for releases that use absolute numbering.
+const KITSU_ADDON_URL = String(process.env.KITSU_ADDON_URL || 'https://anime-kitsu.strem.fun').replace(/\/+$/, '');
+const KITSU_TTL = 12 * 60 * 60 * 1000;
+const kitsuCache = createCacheStore('kitsu'); // kitsuId -> meta
+
+function parseKitsuId(value) {
+  const match = String(value || '').match(/^kitsu:(\d+)(?::(\d+))?$/);
+  if (!match) return null;
+  return { kitsuId: match[1], episode: match[2] != null ? Number(match[2]) : null };
+}
+
+async function fetchKitsuMeta(kitsuId) {
+  const hit = await kitsuCache.get(kitsuId);
+  if (hit) return hit;
+
+  const response = await fetch(`${KITSU_ADDON_URL}/meta/series/kitsu:${kitsuId}.json`);
+  if (!response.ok) throw new Error(`Kitsu meta failed with status ${response.status}`);
+
+  const meta = (await response.json())?.meta || {};
+  await kitsuCache.set(kitsuId, meta, KITSU_TTL);
+  return meta;
+}
+
+function toPositiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// -> { imdbId, season, episode, absoluteEpisode, title }. imdbId is '' when
+// Kitsu has no IMDb mapping; the caller then falls back to a name search.
+async function resolveKitsuId({ kitsuId, episode = null }) {
+  const meta = await fetchKitsuMeta(kitsuId);
+  const video = episode != null
+    ? (meta.videos || []).find((v) => v?.id === `kitsu:${kitsuId}:${episode}`) || null
+    : null;
+  const imdbId = String(video?.imdb_id || meta.imdb_id || '').toLowerCase();
+
+  return {
+    imdbId: /^tt\d+$/.test(imdbId) ? imdbId : '',
+    season: toPositiveInt(video?.imdbSeason),
+    episode: toPositiveInt(video?.imdbEpisode),
+    absoluteEpisode: toPositiveInt(episode),
+    title: String(meta.name || '').trim(),
+  };
+}
+
+module.exports = {
+  parseKitsuId,
+  resolveKitsuId,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const { getCategory } = require('./categories');
+
+const LANGUAGE_MODES = ['any', 'hun-audio', 'hun-subs', 'original'];
+// Tokens are matched on the lower-cased release name with every non
+// alphanumeric run collapsed to a single space.
+const SUB_TOKENS = /\b(hunsubs?|hun subs?|hungarian subs?|magyar felirat\w*|feliratos|felirat)\b/g;
+const HUN_TOKENS = /\b(hun|hungarian|magyar|szinkron\w*)\b/;
+const ENG_TOKENS = /\b(eng|english)\b/;
+const DUAL_TOKENS = /\b(dual|dual audio|multi|2 audio)\b/;
+
+function normalizeName(title) {
+  return ` ${String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+}
+
+// Combines the nCore category with release-name tokens. Inside a known EN
+// category a bare "HUN" tag can only mean subtitles (nCore keeps Hungarian
+// audio in the HU categories), elsewhere it is read as Hungarian audio.
+function describeLanguage(item) {
+  const category = getCategory(item?.category);
+  const name = normalizeName(item?.title);
+  const withoutSubs = name.replace(SUB_TOKENS, ' ');
+
+  const hunSubTag = withoutSubs !== name;
+  const hunTag = HUN_TOKENS.test(withoutSubs);
+  const engTag = ENG_TOKENS.test(withoutSubs);
+  const dualTag = DUAL_TOKENS.test(withoutSubs);
+
+  let hunAudio;
+  let hunSubs = hunSubTag;
+  if (category) {
+    hunAudio = category.hun;
+    if (!category.hun && hunTag) hunSubs = true;
+  } else {
+    hunAudio = hunTag;
+  }
+
+  const originalAudio = !hunAudio || dualTag || engTag;
+  return { hunAudio, hunSubs, originalAudio, known: Boolean(category || hunTag || hunSubTag || engTag) };
+}
+
+function languageLabel(language) {
+  if (!language) return '';
+  if (language.hunAudio && language.originalAudio) return 'HUN szinkron + eredeti';
+  if (language.hunAudio) return 'HUN szinkron';
+  if (language.hunSubs) return 'Eredeti, HUN felirat';
+  return language.known ? 'Eredeti nyelv' : '';
+}
+
+function languageTag(language) {
+  if (!language) return '';
+  if (language.hunAudio) return 'HUN';
+  if (language.hunSubs) return 'HUN SUB';
+  return '';
+}
+
+// Higher is better for the given preference mode.
+function languageRank(language, mode) {
+  if (!language) return 0;
+  if (mode === 'hun-audio') {
+    if (language.hunAudio) return 2;
+    return language.hunSubs ? 1 : 0;
+  }
+  if (mode === 'hun-subs') {
+    if (language.hunSubs && language.originalAudio) return 3;
+    if (language.hunSubs) return 2;
+    return language.originalAudio ? 1 : 0;
+  }
+  if (mode === 'original') {
+    return language.originalAudio ? 1 : 0;
+  }
+  return 0;
+}
+
+module.exports = {
+  LANGUAGE_MODES,
+  describeLanguage,
+  languageLabel,
+  languageTag,
+  languageRank,
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const { filenameParse } = require('@ctrl/video-filename-parser');
+const {
+  getTorrentId,
+  getVideoFiles,
+  getTorrentState,
+  getTorrentProgress,
+  isTorrentReady,
+} = require('./torbox-client');
+
+// Debrid library (mylist) as Stremio catalogs. Items are addressed by their
+// provider torrent ID, so torrents added outside this addon work the same way:
+// torbox:<torrentId>[:<fileId>]
+// The prefix stays 'torbox:' for every provider to keep existing library IDs
+// valid; the token decides which provider the ID belongs to.
+const LIBRARY_ID_PREFIX = 'torbox:';
+const GENRE_READY = 'Kész';
+const GENRE_DOWNLOADING = 'Letöltés alatt';
+const LIBRARY_GENRES = [GENRE_READY, GENRE_DOWNLOADING];
+
+function parseLibraryId(value) {
+  const match = String(value || '').match(/^torbox:([A-Za-z0-9]+)(?::(\d+))?$/);
+  if (!match) return null;
+  return { torrentId: match[1], fileId: match[2] != null ? match[2] : null };
+}
+
+function parseName(name, isSeries) {
+  try {
+    return filenameParse(String(name || ''), isSeries) || {};
+  } catch {
+    return {};
+  }
+}
+
+function libraryItemType(torrent) {
+  const names = [torrent?.name, ...getVideoFiles(torrent).map((f) => f.short)];
+  return names.some((name) => /\bS\d{1,2}(?:[ ._-]?E\d{1,3})?\b/i.test(String(name || ''))) ? 'series' : 'movie';
+}
+
+// Human-readable size for stream and meta descriptions ('' when unknown).
+function formatSize(bytes) {
+  const n = Number(bytes);
+  if (!n || !Number.isFinite(n)) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let v = n, i = 0;
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+  return `${v >= 10 || i === 0 ? v.toFixed(0) : v.toFixed(1)} ${units[i]}`;
+}
+
+function libraryStatus(torrent, label = 'TorBox') {
+  if (isTorrentReady(torrent)) return `${label}: kész`;
+  const state = getTorrentState(torrent) || 'queued';
+  const pct = getTorrentProgress(torrent);
+  return `${label}: ${state}${pct ? ` ${pct}%` : ''}`;
+}
+
+function updatedAt(torrent) {
+  return Date.parse(torrent?.updated_at || torrent?.created_at || '') || 0;
+}
+
+// Newest first; the "Letöltés alatt" genre is the continue-downloading view.
+function libraryToMetas(list, type, genre, label = 'TorBox') {
+  return (list || [])
+    .filter((torrent) => getTorrentId(torrent) && libraryItemType(torrent) === type)
+    .filter((torrent) => {
+      if (genre === GENRE_READY) return isTorrentReady(torrent);
+      if (genre === GENRE_DOWNLOADING) return !isTorrentReady(torrent);
+      return true;
+    })
+    .sort((a, b) => updatedAt(b) - updatedAt(a))
+    .map((torrent) => ({
+      id: `${LIBRARY_ID_PREFIX}${getTorrentId(torrent)}`,
+      type,
+      name: String(torrent.name || `${label} #${getTorrentId(torrent)}`),
+      posterShape: 'poster',
+      genres: [isTorrentReady(torrent) ? GENRE_READY : GENRE_DOWNLOADING],
+      description: [libraryStatus(torrent, label), formatSize(torrent.size)].filter(Boolean).join('\n'),
+    }));
+}
+
+function libraryToMeta(torrent, type, label = 'TorBox') {
+  const id = `${LIBRARY_ID_PREFIX}${getTorrentId(torrent)}`;
+  const meta = {
+    id,
+    type,
+    name: String(torrent.name || `${label} #${getTorrentId(torrent)}`),
+    posterShape: 'poster',
+    description: [libraryStatus(torrent, label), formatSize(torrent.size)].filter(Boolean).join('\n'),
+  };
+
+  if (type !== 'series') {
+    meta.behaviorHints = { defaultVideoId: id };
+    return meta;
+  }
+
+  const released = new Date(updatedAt(torrent) || Date.now()).toISOString();
+  meta.videos = getVideoFiles(torrent).map((file, position) => {
+    const parsed = parseName(file.short.split('/').pop(), true);
+    return {
+      id: `${id}:${file.id}`,
+      title: file.short.split('/').pop(),
+      season: Array.isArray(parsed.seasons) && parsed.seasons.length ? parsed.seasons[0] : 1,
+      episode: Array.isArray(parsed.episodeNumbers) && parsed.episodeNumbers.length ? parsed.episodeNumbers[0] : position + 1,
+      released,
+    };
+  });
+  return meta;
+}
+
+module.exports = {
+  LIBRARY_GENRES,
+  parseLibraryId,
+  libraryStatus,
+  libraryToMetas,
+  libraryToMeta,
+  formatSize,
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { redactPasskeys } = require('./passkey');
+
 function now() {
   return new Date().toISOString();
 }
@@ -26,19 +28,26 @@ function write(stream, level, message, meta) {
   };
   const normalized = normalizeErrorMeta(meta);
   if (normalized !== undefined) payload.meta = normalized;
-  stream.write(`${JSON.stringify(payload)}\n`);
+  // nCore passkeys and download keys (tracker URLs, magnets, download links,
+  // error texts) never reach the log.
+  stream.write(`${redactPasskeys(JSON.stringify(payload))}\n`);
 }
 
 function logInfo(message, meta) {
   write(process.stdout, 'info', message, meta);
 }
 
+function logWarn(message, meta) {
+  write(process.stderr, 'warn', message, meta);
+}
+
 function logError(message, meta) {
   write(process.stderr, 'error', message, meta);
 }
 
 module.exports = {
   logInfo,
+  logWarn,
   logError,
 };
 
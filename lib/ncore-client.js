@@ -1,6 +1,9 @@
 const crypto = require('node:crypto');
-const { filenameParse } = require('@ctrl/video-filename-parser');
 const { fetch } = require('./fetch');
+const { isCategoryAllowed } = require('./categories');
+const { findEpisodeFile } = require('./episodes');
+const { createCacheStore } = require('./cache-store');
+const { redactPasskeys, isPasskeyTracker, extractPasskey, fillPasskey } = require('./passkey');
 
 const NCORE_BASE = 'https://ncore.pro';
 // Browser-like UA avoids some tracker-side blocks/edge-cases.
@@ -14,7 +17,14 @@ const LOGIN_COOKIE_TTL_MS = Math.max(30_000, Number(process.env.NCORE_COOKIE_TTL
 const NCORE_RETRY_ATTEMPTS = Math.max(1, Number(process.env.NCORE_RETRY_ATTEMPTS || 4) || 4);
 const NCORE_RETRY_BASE_MS = Math.max(100, Number(process.env.NCORE_RETRY_BASE_MS || 650) || 650);
 const NCORE_RETRY_MAX_MS = Math.max(500, Number(process.env.NCORE_RETRY_MAX_MS || 5000) || 5000);
-const loginCookieCache = new Map();
+const TORRENT_META_TTL_MS = Math.max(1, Number(process.env.NCORE_TORRENT_META_TTL_HOURS || 720) || 720) * 60 * 60 * 1000;
+const PASSKEY_TTL_MS = 24 * 60 * 60 * 1000;
+const loginCookieCache = createCacheStore('ncore-login'); // credentialHash -> cookie
+// Passkeys stay in process memory only, never in a file or Redis cache.
+const passkeyCache = createCacheStore('ncore-passkey', { memoryOnly: true }); // credentialHash -> passkey
+// A torrent's contents never change, so parsed metadata is kept for weeks.
+// It is shared by every member, so tracker passkeys are stored masked.
+const torrentMetaCache = createCacheStore('torrent-meta', { maxEntries: 5000 }); // nCore torrent ID -> meta
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -68,22 +78,35 @@ async function fetchWithRetry(url, init, label) {
   throw new Error(`${label || 'nCore request'} failed after retries`);
 }
 
-async function loginAndSearch({ username, password, query }) {
+// `title` is the name-search fallback for IDs without an IMDb mapping (Kitsu);
+// `absoluteEpisode` enables absolute anime numbering in the file matcher.
+// `withPasskey` fills the member's passkey into the tracker `sources` (P2P
+// streams); otherwise passkey trackers are left out of them.
+async function loginAndSearch({ username, password, query, categories = null, title = '', absoluteEpisode = null, withPasskey = false }) {
+  // Allowlist minus denylist left nothing to search in.
+  if (Array.isArray(categories) && categories.length === 0) return [];
+
   let cookie = await loginAndGetCookie({ username, password });
-  const parsedQuery = parseStreamQuery(query);
+  const parsedQuery = { ...parseStreamQuery(query), absoluteEpisode: toPositiveInt(absoluteEpisode) };
+  const search = { imdbId: parsedQuery.imdbId, title, categories };
 
   let rows;
   try {
-    rows = await fetchAllSearchRows({ cookie, imdbId: parsedQuery.imdbId });
+    rows = await fetchAllSearchRows({ cookie, ...search });
   } catch (error) {
     if (!isSessionFailure(error)) throw error;
     cookie = await loginAndGetCookie({ username, password, forceRefresh: true });
-    rows = await fetchAllSearchRows({ cookie, imdbId: parsedQuery.imdbId });
+    rows = await fetchAllSearchRows({ cookie, ...search });
   }
   const beforeFilterCount = rows.length;
   rows = dedupeRows(rows).slice(0, SEARCH_RESULT_LIMIT);
 
-  const enriched = await mapLimit(rows, ENRICH_CONCURRENCY, async (row) => enrichRow({ row, cookie, parsedQuery }));
+  // The rows were just fetched with this member's cookie, so their download
+  // links carry this member's key.
+  const passkey = withPasskey
+    ? await memberPasskey({ credentialKey: getLoginCacheKey({ username, password }), cookie, downloadUrl: rows.find((row) => row?.downloadUrl)?.downloadUrl })
+    : '';
+  const enriched = await mapLimit(rows, ENRICH_CONCURRENCY, async (row) => enrichRow({ row, cookie, parsedQuery, passkey }));
   const out = enriched.filter((item) => item && (item.magnet || item.downloadUrl));
   if (DEBUG_SERIES_FILTER && parsedQuery.season && parsedQuery.episode) {
     console.error('ncore-series-filter', {
@@ -108,10 +131,8 @@ function getLoginCacheKey({ username, password }) {
 async function loginAndGetCookie({ username, password, forceRefresh = false }) {
   const cacheKey = getLoginCacheKey({ username, password });
   if (!forceRefresh) {
-    const cached = loginCookieCache.get(cacheKey);
-    if (cached?.expiresAt > Date.now() && cached.cookie) {
-      return cached.cookie;
-    }
+    const cached = await loginCookieCache.get(cacheKey);
+    if (cached) return cached;
   }
 
   const form = new URLSearchParams({
@@ -141,10 +162,7 @@ async function loginAndGetCookie({ username, password, forceRefresh = false }) {
     throw new Error('nCore login failed: invalid credentials or blocked login');
   }
 
-  loginCookieCache.set(cacheKey, {
-    cookie,
-    expiresAt: Date.now() + LOGIN_COOKIE_TTL_MS,
-  });
+  await loginCookieCache.set(cacheKey, cookie, LOGIN_COOKIE_TTL_MS);
   return cookie;
 }
 
@@ -238,44 +256,64 @@ function parseLegacyHtmlSearchRows(body) {
   }
 }
 
-async function fetchAllSearchRows({ cookie, imdbId }) {
-  const rows = [];
-  let page = 1;
-  let lastPage = 1;
+function buildCategoryParams(categories) {
+  if (!Array.isArray(categories) || categories.length === 0) return [];
+  return ['tipus=kivalasztottak_kozott', `kivalasztott_tipus=${encodeURIComponent(categories.join(','))}`];
+}
 
-  do {
-    let parsed = { rows: [], lastPage: 1, recognized: false };
-    for (const format of SEARCH_QUERY_FORMATS) {
-      const suffix = format ? `&${format}` : '';
-      const searchUrl = `${NCORE_BASE}/torrents.php?mire=${encodeURIComponent(imdbId)}&miben=imdb&miszerint=seeders&hogyan=DESC&oldal=${page}${suffix}`;
-      const searchResponse = await fetchWithRetry(searchUrl, {
-        headers: {
-          cookie,
-          'user-agent': USER_AGENT,
-        },
-      }, 'nCore search');
-
-      if (!searchResponse.ok) {
-        throw new Error(`nCore search failed with status ${searchResponse.status}`);
-      }
+function buildSearchUrl({ mire = '', miben = 'name', categories = null, sort = 'seeders', page = 1, format = '' }) {
+  const params = [];
+  if (mire) params.push(`mire=${encodeURIComponent(mire)}`, `miben=${encodeURIComponent(miben)}`);
+  params.push(...buildCategoryParams(categories));
+  params.push(`miszerint=${encodeURIComponent(sort)}`, 'hogyan=DESC', `oldal=${page}`);
+  if (format) params.push(format);
+  return `${NCORE_BASE}/torrents.php?${params.join('&')}`;
+}
 
-      const body = await searchResponse.text();
-      if (isLoginPage(searchResponse.url, body)) {
-        throw new Error('nCore search failed: login/session is invalid or blocked');
-      }
+// Fetches one result page, trying the JSON formats first and the HTML listing last.
+async function fetchSearchPage({ cookie, search, page }) {
+  for (const format of SEARCH_QUERY_FORMATS) {
+    const searchUrl = buildSearchUrl({ ...search, page, format });
+    const searchResponse = await fetchWithRetry(searchUrl, {
+      headers: {
+        cookie,
+        'user-agent': USER_AGENT,
+      },
+    }, 'nCore search');
+
+    if (!searchResponse.ok) {
+      throw new Error(`nCore search failed with status ${searchResponse.status}`);
+    }
 
-      const candidate = parseSearchPayload(body);
-      if (candidate.recognized) {
-        parsed = candidate;
-        break;
-      }
+    const body = await searchResponse.text();
+    if (isLoginPage(searchResponse.url, body)) {
+      throw new Error('nCore search failed: login/session is invalid or blocked');
     }
 
+    const candidate = parseSearchPayload(body);
+    if (candidate.recognized) return candidate;
+  }
+
+  return { rows: [], lastPage: 1, recognized: false };
+}
+
+async function fetchAllSearchRows({ cookie, imdbId, title = '', categories = null }) {
+  const rows = [];
+  let page = 1;
+  let lastPage = 1;
+  const needle = /^tt\d+$/i.test(imdbId || '') ? { mire: imdbId, miben: 'imdb' } : { mire: String(title || '').trim(), miben: 'name' };
+  if (!needle.mire) return rows;
+  const search = { ...needle, categories, sort: 'seeders' };
+
+  do {
+    const parsed = await fetchSearchPage({ cookie, search, page });
     if (!parsed.recognized && page === 1) {
       throw new Error('nCore search failed: unrecognized response format');
     }
 
-    rows.push(...parsed.rows);
+    // nCore normally applies the category filter itself; the local check keeps
+    // unwanted rows from counting against SEARCH_RESULT_LIMIT if it did not.
+    rows.push(...parsed.rows.filter((row) => isCategoryAllowed(row.category, categories)));
     lastPage = Math.max(lastPage, parsed.lastPage);
     page += 1;
   } while (page <= lastPage && rows.length < SEARCH_RESULT_LIMIT);
@@ -283,6 +321,221 @@ async function fetchAllSearchRows({ cookie, imdbId }) {
   return rows;
 }
 
+// Runs `task` with a login cookie and retries once with a fresh login when
+// the cached session turned out to be invalid.
+async function withSession({ username, password }, task) {
+  let cookie = await loginAndGetCookie({ username, password });
+  try {
+    return await task(cookie);
+  } catch (error) {
+    if (!isSessionFailure(error)) throw error;
+    cookie = await loginAndGetCookie({ username, password, forceRefresh: true });
+    return task(cookie);
+  }
+}
+
+// Plain listing without an IMDb needle, used by the catalogs.
+async function loginAndBrowse({ username, password, categories = null, sort = 'fid', page = 1 }) {
+  const search = { categories, sort };
+  const parsed = await withSession({ username, password }, (cookie) => fetchSearchPage({ cookie, search, page }));
+
+  return {
+    rows: parsed.rows.filter((row) => isCategoryAllowed(row.category, categories)),
+    lastPage: parsed.lastPage,
+  };
+}
+
+// Free-text release name search (miben=name), first `maxPages` pages only.
+async function loginAndSearchByName({ username, password, query, categories = null, maxPages = 2 }) {
+  const needle = String(query || '').trim();
+  if (!needle || (Array.isArray(categories) && categories.length === 0)) return [];
+
+  const search = { mire: needle, miben: 'name', categories, sort: 'seeders' };
+  return withSession({ username, password }, async (cookie) => {
+    const rows = [];
+    let page = 1;
+    let lastPage = 1;
+    do {
+      const parsed = await fetchSearchPage({ cookie, search, page });
+      rows.push(...parsed.rows.filter((row) => isCategoryAllowed(row.category, categories)));
+      lastPage = Math.max(lastPage, parsed.lastPage);
+      page += 1;
+    } while (page <= Math.min(lastPage, maxPages));
+    return dedupeRows(rows);
+  });
+}
+
+// Minimal scrape of the details page for releases that are only known by
+// their nCore torrent ID (e.g. `ncore:<id>` stream requests after a restart).
+function parseDetailsPage(html, torrentId) {
+  const id = String(torrentId || '').replace(/\D/g, '');
+  const body = String(html || '');
+  const title = body.match(/class="torrent_reszletek_cim"[^>]*>([^<]+)</i);
+  const download = body.match(new RegExp(`href="([^"]*torrents\\.php\\?action=download&(?:amp;)?id=${id}&(?:amp;)?key=[^"]+)"`, 'i'));
+  const imdb = body.match(/imdb\.com\/title\/(tt\d+)/i);
+  const category = body.match(/torrents\.php\?tipus=([a-z0-9_]+)/i);
+
+  return {
+    id,
+    title: title ? sanitizeTitle(decodeHtmlEntities(title[1])) : '',
+    downloadUrl: download ? toAbsoluteNcoreUrl(download[1].replace(/&amp;/g, '&')) : '',
+    magnet: '',
+    seeders: 0,
+    sizeBytes: 0,
+    category: category ? category[1].toLowerCase() : '',
+    imdbRating: '',
+    freeleech: false,
+    imdbId: imdb ? imdb[1].toLowerCase() : '',
+    uploadedAt: 0,
+  };
+}
+
+function decodeHtmlEntities(value) {
+  return String(value || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+async function fetchDetailsRow({ cookie, torrentId }) {
+  const response = await fetchWithRetry(`${NCORE_BASE}/torrents.php?action=details&id=${encodeURIComponent(torrentId)}`, {
+    headers: {
+      cookie,
+      'user-agent': USER_AGENT,
+    },
+  }, 'nCore details');
+  if (!response.ok) {
+    throw new Error(`nCore details failed with status ${response.status}`);
+  }
+
+  const body = await response.text();
+  if (isLoginPage(response.url, body)) {
+    throw new Error('nCore details failed: login/session is invalid or blocked');
+  }
+  return parseDetailsPage(body, torrentId);
+}
+
+// Resolves one release by nCore torrent ID into the same shape loginAndSearch
+// returns. `row` (e.g. from an earlier search) fills in the listing counters;
+// the download link always comes from this member's own details page, never
+// from `row`, which may be another member's cached row. `fileIdx` pins a
+// specific video file of a multi-file torrent; `withPasskey` works as in
+// loginAndSearch.
+async function loginAndFetchRelease({ username, password, torrentId, row = null, fileIdx = null, withPasskey = false }) {
+  return withSession({ username, password }, async (cookie) => {
+    const { downloadUrl, sources, ...listing } = row || {};
+    const details = await fetchDetailsRow({ cookie, torrentId });
+    if (!details.downloadUrl) throw new Error('nCore release has no download link');
+    const base = fillRow(details, listing);
+    const passkey = withPasskey
+      ? await memberPasskey({ credentialKey: getLoginCacheKey({ username, password }), cookie, downloadUrl: details.downloadUrl })
+      : '';
+
+    const torrent = await fetchTorrentMeta({ downloadUrl: base.downloadUrl, cookie, torrentId: base.id || torrentId });
+    const pinned = fileIdx == null ? null : (torrent.videoFiles || []).find((file) => file.index === Number(fileIdx));
+    if (pinned) {
+      torrent.fileIdx = pinned.index;
+      torrent.fileName = pinned.name;
+    }
+
+    const magnet = torrentToMagnet(torrent);
+    const streamMeta = streamMetaFromMagnet(magnet);
+    return {
+      ...base,
+      title: base.title || torrent.fileName || `nCore #${torrentId}`,
+      infoHash: streamMeta.infoHash,
+      sources: trackerSources(torrent.trackers, passkey),
+      magnet,
+      fileIdx: torrent.fileIdx,
+      fileName: torrent.fileName,
+      videoFiles: torrent.videoFiles || [],
+    };
+  });
+}
+
+// Listing rows (e.g. bookmarks) know seeders/size but not the download key;
+// the details page knows the key but not the counters.
+function fillRow(details, row) {
+  const out = { ...details };
+  for (const [key, value] of Object.entries(row || {})) {
+    if (value && !out[key]) out[key] = value;
+  }
+  return out;
+}
+
+// Parses the HTML torrent listing (`box_torrent` blocks) used by pages that
+// have no JSON variant, such as bookmarks.php.
+function parseTorrentListHtml(body) {
+  const blocks = String(body || '').split(/<div class="box_torrent"/i).slice(1);
+  const rows = [];
+  for (const block of blocks) {
+    const link = block.match(/torrents\.php\?action=details&(?:amp;)?id=(\d+)"[^>]*?title="([^"]+)"/i);
+    if (!link) continue;
+    const category = block.match(/torrents\.php\?tipus=([a-z0-9_]+)/i);
+    const imdb = block.match(/imdb\.com\/title\/(tt\d+)/i);
+    const size = block.match(/class="box_meret2"[^>]*>([^<]+)</i);
+    const seeders = block.match(/class="box_s2"[^>]*>(?:\s*<a[^>]*>)?\s*(\d+)/i);
+    rows.push({
+      id: link[1],
+      title: sanitizeTitle(decodeHtmlEntities(link[2])),
+      downloadUrl: '',
+      magnet: '',
+      seeders: seeders ? Number(seeders[1]) : 0,
+      sizeBytes: size ? parseSizeText(size[1]) : 0,
+      category: category ? category[1].toLowerCase() : '',
+      imdbRating: '',
+      freeleech: false,
+      imdbId: imdb ? imdb[1].toLowerCase() : '',
+      uploadedAt: 0,
+    });
+  }
+  return rows;
+}
+
+const SIZE_UNITS = { B: 1, KIB: 1024, MIB: 1024 ** 2, GIB: 1024 ** 3, TIB: 1024 ** 4, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+function parseSizeText(text) {
+  const match = String(text || '').replace(',', '.').match(/([\d.]+)\s*([KMGT]?i?B)/i);
+  if (!match) return 0;
+  return Math.round(Number(match[1]) * (SIZE_UNITS[match[2].toUpperCase()] || 0)) || 0;
+}
+
+async function fetchBookmarksPage({ cookie, page }) {
+  const response = await fetchWithRetry(`${NCORE_BASE}/bookmarks.php?oldal=${page}`, {
+    headers: {
+      cookie,
+      'user-agent': USER_AGENT,
+    },
+  }, 'nCore bookmarks');
+  if (!response.ok) {
+    throw new Error(`nCore bookmarks failed with status ${response.status}`);
+  }
+
+  const body = await response.text();
+  if (isLoginPage(response.url, body)) {
+    throw new Error('nCore bookmarks failed: login/session is invalid or blocked');
+  }
+  return parseTorrentListHtml(body);
+}
+
+// The user's nCore bookmarks (Könyvjelzők). Pages are walked until one adds
+// no new torrent, since the bookmarks page has no reliable page count.
+async function loginAndFetchBookmarks({ username, password, maxPages = 5 }) {
+  return withSession({ username, password }, async (cookie) => {
+    const rows = [];
+    const seen = new Set();
+    for (let page = 1; page <= maxPages; page += 1) {
+      const fresh = (await fetchBookmarksPage({ cookie, page })).filter((row) => !seen.has(row.id));
+      if (!fresh.length) break;
+      for (const row of fresh) seen.add(row.id);
+      rows.push(...fresh);
+    }
+    return rows;
+  });
+}
+
 function parseSearchPayload(body) {
   try {
     const parsed = JSON.parse(body);
@@ -361,9 +614,28 @@ function normalizeSearchRow(item) {
     category: String(readFirst(item, ['category', 'cat', 'tipus']) || ''),
     imdbRating: String(readFirst(item, ['imdb_rating', 'imdbRating', 'imdb']) || ''),
     freeleech: toBoolean(readFirst(item, ['freeleech', 'is_freeleech', 'free'])),
+    imdbId: toImdbId(readFirst(item, ['imdb_id', 'imdbId', 'imdbid', 'imdb_link', 'imdb_url'])),
+    uploadedAt: toTimestamp(readFirst(item, ['upload_date', 'uploaded', 'added', 'date', 'feltoltve'])),
   };
 }
 
+function toImdbId(value) {
+  const match = String(value || '').match(/tt\d{5,10}/i);
+  if (match) return match[0].toLowerCase();
+  return /^\d{5,10}$/.test(String(value || '').trim()) ? `tt${String(value).trim()}` : '';
+}
+
+// nCore reports either unix seconds or a "YYYY-MM-DD HH:MM:SS" string.
+function toTimestamp(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value || ''))) {
+    const n = Number(value);
+    if (!n) return 0;
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(String(value || '').replace(' ', 'T'));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
 function isValidSearchRow(item) {
   return Boolean(item?.id && item?.title && (item?.downloadUrl || item?.magnet));
 }
@@ -428,8 +700,8 @@ function dedupeRows(rows) {
   return Array.from(byId.values());
 }
 
-async function enrichRow({ row, cookie, parsedQuery }) {
-  const isSeriesRequest = Boolean(parsedQuery?.season && parsedQuery?.episode);
+async function enrichRow({ row, cookie, parsedQuery, passkey = '' }) {
+  const isSeriesRequest = Boolean((parsedQuery?.season && parsedQuery?.episode) || parsedQuery?.absoluteEpisode);
   if (!row.downloadUrl && row.magnet) {
     try {
       const streamMeta = streamMetaFromMagnet(row.magnet);
@@ -446,12 +718,18 @@ async function enrichRow({ row, cookie, parsedQuery }) {
   if (!row.downloadUrl) return row;
 
   try {
-    const torrent = await fetchTorrentMeta({ downloadUrl: row.downloadUrl, cookie });
+    const torrent = await fetchTorrentMeta({ downloadUrl: row.downloadUrl, cookie, torrentId: row.id });
+    let matchConfidence;
     if (isSeriesRequest) {
-      const picked = findSeriesVideoFile(torrent.videoFiles || [], parsedQuery.season, parsedQuery.episode);
-      if (!picked) return null;
-      torrent.fileIdx = picked.index;
-      torrent.fileName = picked.name;
+      const match = findEpisodeFile(
+        (torrent.videoFiles || []).filter((file) => !isSampleOrTrash(file.name)),
+        parsedQuery,
+        { releaseTitle: row.title },
+      );
+      if (!match) return null;
+      torrent.fileIdx = match.file.index;
+      torrent.fileName = match.file.name;
+      matchConfidence = match.confidence;
     }
 
     const magnet = torrentToMagnet(torrent);
@@ -460,10 +738,11 @@ async function enrichRow({ row, cookie, parsedQuery }) {
     return {
       ...row,
       infoHash: streamMeta.infoHash,
-      sources: streamMeta.sources,
+      sources: trackerSources(torrent.trackers, passkey),
       magnet,
       fileIdx: torrent.fileIdx,
       fileName: torrent.fileName,
+      matchConfidence,
     };
   } catch {
     if (row.magnet) {
@@ -517,28 +796,6 @@ function toPositiveInt(value) {
   return Number.isInteger(n) && n > 0 ? n : null;
 }
 
-function findSeriesVideoFile(files, season, episode) {
-  for (const file of files || []) {
-    const name = String(file?.name || '');
-    if (isSampleOrTrash(name)) continue;
-
-    let parsed;
-    try {
-      parsed = filenameParse(name, true);
-    } catch {
-      continue;
-    }
-
-    if (!parsed || !('isTv' in parsed)) continue;
-    const seasons = Array.isArray(parsed.seasons) ? parsed.seasons : [];
-    const episodes = Array.isArray(parsed.episodeNumbers) ? parsed.episodeNumbers : [];
-    if (seasons.includes(Number(season)) && episodes.includes(Number(episode))) {
-      return file;
-    }
-  }
-  return null;
-}
-
 function isSampleOrTrash(fileName) {
   if (!isVideoFile(fileName)) return true;
   const normalizedName = String(fileName || '').toLowerCase();
@@ -546,9 +803,48 @@ function isSampleOrTrash(fileName) {
   return /(^sample|sample$|sample-|-sample-|-sample)/.test(base);
 }
 
-async function fetchTorrentMeta({ downloadUrl, cookie }) {
+function torrentIdFromUrl(downloadUrl) {
+  const match = String(downloadUrl || '').match(/[?&]id=(\d+)/);
+  return match ? match[1] : '';
+}
+
+// Cached by nCore torrent ID. Returns a shallow copy because callers pin
+// fileIdx/fileName on the result.
+// Returns the metadata with masked tracker URLs (see trackerSources).
+async function fetchTorrentMeta({ downloadUrl, cookie, torrentId = '' }) {
+  const id = String(torrentId || torrentIdFromUrl(downloadUrl));
+  const cached = id ? await torrentMetaCache.get(id) : null;
+  if (cached) return cached;
+
+  // The cache is shared by every member, so trackers are only ever stored
+  // with the passkey masked.
   const data = await fetchTorrentFileBuffer({ downloadUrl, cookie });
-  return parseTorrentMeta(data);
+  const meta = maskTrackers(parseTorrentMeta(data));
+  if (id) await torrentMetaCache.set(id, meta, TORRENT_META_TTL_MS);
+  return { ...meta };
+}
+
+function maskTrackers(meta) {
+  return { ...meta, trackers: (meta.trackers || []).map(redactPasskeys) };
+}
+
+// The member's own passkey for P2P tracker sources: cached per login like
+// the session cookie, otherwise read from a .torrent. `downloadUrl` must come
+// from a page fetched with this member's `cookie` in the same call, never
+// from a cached or shared row, which may hold another member's key.
+async function memberPasskey({ credentialKey, cookie, downloadUrl }) {
+  const cached = await passkeyCache.get(credentialKey);
+  if (cached) return cached;
+
+  if (!downloadUrl) return '';
+  try {
+    const meta = parseTorrentMeta(await fetchTorrentFileBuffer({ downloadUrl, cookie }));
+    const passkey = meta.trackers.map(extractPasskey).find(Boolean) || '';
+    if (passkey) await passkeyCache.set(credentialKey, passkey, PASSKEY_TTL_MS);
+    return passkey;
+  } catch {
+    return '';
+  }
 }
 
 async function fetchTorrentFileBuffer({ downloadUrl, cookie }) {
@@ -802,6 +1098,8 @@ function toAbsoluteNcoreUrl(value) {
   return `${NCORE_BASE}/${input}`;
 }
 
+// Magnets never carry passkey trackers: they end up in caches, logs and
+// debrid services. Private-torrent mode uploads the .torrent instead.
 function torrentToMagnet(torrent) {
   const params = [`xt=urn:btih:${encodeURIComponent(torrent.infoHash)}`];
 
@@ -810,6 +1108,7 @@ function torrentToMagnet(torrent) {
   }
 
   for (const tracker of torrent.trackers || []) {
+    if (isPasskeyTracker(tracker)) continue;
     params.push(`tr=${encodeURIComponent(tracker)}`);
   }
 
@@ -835,6 +1134,15 @@ function streamMetaFromMagnet(magnet) {
   return { infoHash, sources };
 }
 
+// Stremio `sources` from (masked) tracker URLs: passkey trackers get the
+// member's passkey back, or are left out without one.
+function trackerSources(trackers, passkey = '') {
+  const urls = (trackers || [])
+    .map((tracker) => (isPasskeyTracker(tracker) ? (passkey ? fillPasskey(tracker, passkey) : '') : tracker))
+    .filter((tracker) => isSupportedTrackerUrl(tracker));
+  return Array.from(new Set(urls.map((tracker) => `tracker:${tracker}`)));
+}
+
 function isSupportedTrackerUrl(value) {
   return /^(udp|http|https|ws|wss):\/\//i.test(String(value || ''));
 }
@@ -846,8 +1154,14 @@ function expandTrackerVariants(trackers) {
 
 module.exports = {
   loginAndSearch,
+  loginAndBrowse,
+  loginAndSearchByName,
+  loginAndFetchRelease,
+  loginAndFetchBookmarks,
   loginAndFetchTorrentFile,
   parseSearchResults,
+  parseDetailsPage,
+  parseTorrentListHtml,
   parseTorrentMeta,
   torrentToMagnet,
   streamMetaFromMagnet,
@@ -0,0 +1,61 @@
+'use strict';
+
+// nCore announce URLs carry the member's private passkey:
+//   https://t.ncore.sh:2810/<32 hex passkey>/announce
+// Whoever holds it can announce (and ruin the ratio) on the member's account,
+// so it may only reach the member's own player and never logs or shared
+// caches. Both the plain and the URL-encoded form (inside magnets) match.
+// nCore download links (torrents.php?action=download&id=..&key=..) carry the
+// member's download key, which is just as private.
+const PATH_PASSKEY = /(\/|%2f)[a-f0-9]{32}(?=(?:\/|%2f)announce)/gi;
+const QUERY_PASSKEY = /([?&]passkey=)[^&\s"']+/gi;
+const DOWNLOAD_KEY = /([?&;]key=)[^&\s"'<]+/gi;
+const REDACTED = '<passkey>';
+const PLAIN_PASSKEY = /\/([a-f0-9]{32})\/announce/i;
+
+function hasPasskey(value) {
+  const text = String(value || '');
+  return redactPasskeys(text) !== text;
+}
+
+function redactTrackerPasskeys(value) {
+  return String(value == null ? '' : value)
+    .replace(PATH_PASSKEY, `$1${REDACTED}`)
+    .replace(QUERY_PASSKEY, `$1${REDACTED}`);
+}
+
+// Masks passkeys and download keys.
+function redactPasskeys(value) {
+  return redactTrackerPasskeys(value).replace(DOWNLOAD_KEY, `$1${REDACTED}`);
+}
+
+// True for raw and already masked passkey trackers.
+function isPasskeyTracker(url) {
+  return redactTrackerPasskeys(url).includes(REDACTED);
+}
+
+function extractPasskey(url) {
+  const match = String(url || '').match(PLAIN_PASSKEY);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Puts a member's passkey back into a masked tracker URL.
+function fillPasskey(url, passkey) {
+  return redactTrackerPasskeys(url).split(REDACTED).join(String(passkey || ''));
+}
+
+// Copy of an nCore row for caches shared by every member: without the
+// download link (download key) and the P2P sources (passkey).
+function withoutMemberKeys(row) {
+  const { downloadUrl, sources, ...shared } = row || {};
+  return shared;
+}
+
+module.exports = {
+  hasPasskey,
+  redactPasskeys,
+  isPasskeyTracker,
+  extractPasskey,
+  fillPasskey,
+  withoutMemberKeys,
+};
@@ -0,0 +1,466 @@
+'use strict';
+
+// Placeholder videos ("still downloading" with a progress bar, "not cached"),
+// rendered here without ffmpeg: a short HLS stream with one MPEG-TS segment.
+// The H.264 stream is the simplest one a decoder accepts: a single IDR frame
+// made of uncompressed I_PCM macroblocks followed by P frames that skip every
+// macroblock (Baseline profile, CAVLC).
+// Players stop at the end of the clip, and the next play retries the resolve.
+const WIDTH = 480;
+const HEIGHT = 272;
+const MB_COLS = WIDTH / 16;
+const MB_ROWS = HEIGHT / 16;
+const FPS = 10;
+const DURATION_SECONDS = 10;
+const PTS_CLOCK = 90000;
+const VIDEO_PID = 0x100;
+const PMT_PID = 0x1000;
+const MAX_CACHED_SEGMENTS = 8;
+const segmentCache = new Map(); // placeholder name -> Buffer
+
+const COLORS = {
+  background: { y: 16, cb: 128, cr: 128 },
+  text: { y: 235, cb: 128, cr: 128 },
+  muted: { y: 150, cb: 128, cr: 128 },
+  barTrack: { y: 48, cb: 128, cr: 128 },
+  barFill: { y: 145, cb: 54, cr: 34 },
+};
+
+// 5x7 bitmap font (upper case only); accented letters add a mark above.
+const GLYPHS = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+  C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+  G: ['01110', '10001', '10000', '10111', '10001', '10001', '01111'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  I: ['01110', '00100', '00100', '00100', '00100', '00100', '01110'],
+  J: ['00111', '00010', '00010', '00010', '00010', '10010', '01100'],
+  K: ['10001', '10010', '10100', '11000', '10100', '10010', '10001'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  M: ['10001', '11011', '10101', '10101', '10001', '10001', '10001'],
+  N: ['10001', '10001', '11001', '10101', '10011', '10001', '10001'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+  Q: ['01110', '10001', '10001', '10001', '10101', '10010', '01101'],
+  R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  V: ['10001', '10001', '10001', '10001', '10001', '01010', '00100'],
+  W: ['10001', '10001', '10001', '10101', '10101', '10101', '01010'],
+  X: ['10001', '10001', '01010', '00100', '01010', '10001', '10001'],
+  Y: ['10001', '10001', '10001', '01010', '00100', '00100', '00100'],
+  Z: ['11111', '00001', '00010', '00100', '01000', '10000', '11111'],
+  0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '%': ['11000', '11001', '00010', '00100', '01000', '10011', '00011'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  '[': ['01110', '01000', '01000', '01000', '01000', '01000', '01110'],
+  ']': ['01110', '00010', '00010', '00010', '00010', '00010', '01110'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000'],
+};
+const ACCENTS = {
+  acute: ['00010', '00100'],
+  umlaut: ['01010', '00000'],
+  doubleAcute: ['00101', '01010'],
+};
+const ACCENTED = {
+  'Á': ['A', 'acute'], 'É': ['E', 'acute'], 'Í': ['I', 'acute'], 'Ó': ['O', 'acute'], 'Ú': ['U', 'acute'],
+  'Ö': ['O', 'umlaut'], 'Ü': ['U', 'umlaut'], 'Ő': ['O', 'doubleAcute'], 'Ű': ['U', 'doubleAcute'],
+};
+// Glyph cell: 2 accent rows + 1 gap + 7 body rows, 5 columns + 1 spacing.
+const CELL_WIDTH = 6;
+
+function glyphRows(char) {
+  if (ACCENTED[char]) {
+    const [base, accent] = ACCENTED[char];
+    return [...ACCENTS[accent], '00000', ...GLYPHS[base]];
+  }
+  return ['00000', '00000', '00000', ...(GLYPHS[char] || GLYPHS[' '])];
+}
+
+// --- Frame -----------------------------------------------------------------
+
+function createFrame() {
+  const { y, cb, cr } = COLORS.background;
+  return {
+    luma: Buffer.alloc(WIDTH * HEIGHT, y),
+    cb: Buffer.alloc((WIDTH / 2) * (HEIGHT / 2), cb),
+    cr: Buffer.alloc((WIDTH / 2) * (HEIGHT / 2), cr),
+  };
+}
+
+// Coordinates are rounded to even pixels so the 4:2:0 chroma lines up.
+function fillRect(frame, x, y, w, h, color) {
+  const x0 = Math.max(0, x & ~1);
+  const y0 = Math.max(0, y & ~1);
+  const x1 = Math.min(WIDTH, (x + w + 1) & ~1);
+  const y1 = Math.min(HEIGHT, (y + h + 1) & ~1);
+  for (let row = y0; row < y1; row += 1) frame.luma.fill(color.y, row * WIDTH + x0, row * WIDTH + x1);
+  for (let row = y0 / 2; row < y1 / 2; row += 1) {
+    frame.cb.fill(color.cb, row * (WIDTH / 2) + x0 / 2, row * (WIDTH / 2) + x1 / 2);
+    frame.cr.fill(color.cr, row * (WIDTH / 2) + x0 / 2, row * (WIDTH / 2) + x1 / 2);
+  }
+}
+
+// Centered text; `scale` must be even (see fillRect).
+function drawText(frame, text, top, scale, color) {
+  const chars = Array.from(String(text).toUpperCase());
+  const width = chars.length * CELL_WIDTH * scale - scale;
+  let left = Math.round((WIDTH - width) / 2) & ~1;
+  for (const char of chars) {
+    glyphRows(char).forEach((row, rowIndex) => {
+      for (let col = 0; col < row.length; col += 1) {
+        if (row[col] === '1') fillRect(frame, left + col * scale, top + rowIndex * scale, scale, scale, color);
+      }
+    });
+    left += CELL_WIDTH * scale;
+  }
+}
+
+function renderProgressFrame(progress) {
+  const frame = createFrame();
+  const barWidth = 400;
+  const barLeft = (WIDTH - barWidth) / 2;
+  drawText(frame, 'Letöltés folyamatban', 26, 2, COLORS.text);
+  drawText(frame, `${progress}%`, 74, 6, COLORS.text);
+  fillRect(frame, barLeft, 160, barWidth, 16, COLORS.barTrack);
+  if (progress > 0) fillRect(frame, barLeft, 160, Math.round((barWidth * progress) / 100), 16, COLORS.barFill);
+  drawText(frame, 'Próbáld újra pár perc múlva', 212, 2, COLORS.muted);
+  return frame;
+}
+
+function renderNotCachedFrame() {
+  const frame = createFrame();
+  drawText(frame, 'Csak cache-elt mód', 40, 2, COLORS.text);
+  drawText(frame, 'Nincs cache-elve', 92, 4, COLORS.text);
+  drawText(frame, 'Ez a torrent nincs a debrid cache-ben.', 170, 2, COLORS.muted);
+  drawText(frame, 'Válassz [CACHED] forrást.', 204, 2, COLORS.muted);
+  return frame;
+}
+
+// Placeholder names: 'downloading-<0..100>' and 'not-cached'.
+function renderPlaceholderFrame(name) {
+  if (name === 'not-cached') return renderNotCachedFrame();
+  const match = /^downloading-(\d{1,3})$/.exec(name);
+  return match ? renderProgressFrame(clampProgress(match[1])) : null;
+}
+
+// --- H.264 -------------------------------------------------------------------
+
+function createBitWriter() {
+  const bytes = [];
+  let current = 0;
+  let bitCount = 0;
+
+  const writer = {
+    bits(value, count) {
+      for (let i = count - 1; i >= 0; i -= 1) {
+        current = (current << 1) | ((value >>> i) & 1);
+        bitCount += 1;
+        if (bitCount === 8) {
+          bytes.push(current);
+          current = 0;
+          bitCount = 0;
+        }
+      }
+      return writer;
+    },
+    ue(value) {
+      const coded = value + 1;
+      const length = Math.floor(Math.log2(coded));
+      return writer.bits(0, length).bits(coded, length + 1);
+    },
+    se(value) {
+      return writer.ue(value <= 0 ? -2 * value : 2 * value - 1);
+    },
+    alignZero() {
+      while (bitCount) writer.bits(0, 1);
+      return writer;
+    },
+    bytes(buffer) {
+      for (const byte of buffer) bytes.push(byte); // callers align first
+      return writer;
+    },
+    trailing() {
+      writer.bits(1, 1);
+      return writer.alignZero();
+    },
+    toBuffer() {
+      return Buffer.from(bytes);
+    },
+  };
+  return writer;
+}
+
+// Start code + NAL header + payload with emulation prevention bytes.
+function nalUnit(refIdc, type, rbsp) {
+  const out = [0, 0, 0, 1, (refIdc << 5) | type];
+  let zeros = 0;
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Buffer.from(out);
+}
+
+function sequenceParameterSet() {
+  const w = createBitWriter();
+  w.bits(66, 8) // Baseline
+    .bits(0xc0, 8) // constraint_set0/1
+    .bits(30, 8) // level 3.0
+    .ue(0) // seq_parameter_set_id
+    .ue(0) // log2_max_frame_num_minus4
+    .ue(2) // pic_order_cnt_type
+    .ue(1) // max_num_ref_frames
+    .bits(0, 1) // gaps_in_frame_num_value_allowed_flag
+    .ue(MB_COLS - 1)
+    .ue(MB_ROWS - 1)
+    .bits(1, 1) // frame_mbs_only_flag
+    .bits(1, 1) // direct_8x8_inference_flag
+    .bits(0, 1) // frame_cropping_flag
+    .bits(0, 1) // vui_parameters_present_flag
+    .trailing();
+  return nalUnit(3, 7, w.toBuffer());
+}
+
+function pictureParameterSet() {
+  const w = createBitWriter();
+  w.ue(0) // pic_parameter_set_id
+    .ue(0) // seq_parameter_set_id
+    .bits(0, 1) // entropy_coding_mode_flag (CAVLC)
+    .bits(0, 1) // bottom_field_pic_order_in_frame_present_flag
+    .ue(0) // num_slice_groups_minus1
+    .ue(0) // num_ref_idx_l0_default_active_minus1
+    .ue(0) // num_ref_idx_l1_default_active_minus1
+    .bits(0, 1) // weighted_pred_flag
+    .bits(0, 2) // weighted_bipred_idc
+    .se(0) // pic_init_qp_minus26
+    .se(0) // pic_init_qs_minus26
+    .se(0) // chroma_qp_index_offset
+    .bits(1, 1) // deblocking_filter_control_present_flag
+    .bits(0, 1) // constrained_intra_pred_flag
+    .bits(0, 1) // redundant_pic_cnt_present_flag
+    .trailing();
+  return nalUnit(3, 8, w.toBuffer());
+}
+
+function idrSlice(frame) {
+  const w = createBitWriter();
+  w.ue(0) // first_mb_in_slice
+    .ue(7) // slice_type: I (all slices)
+    .ue(0) // pic_parameter_set_id
+    .bits(0, 4) // frame_num
+    .ue(0) // idr_pic_id
+    .bits(0, 1) // no_output_of_prior_pics_flag
+    .bits(0, 1) // long_term_reference_flag
+    .se(0) // slice_qp_delta
+    .ue(1); // disable_deblocking_filter_idc
+
+  const luma = Buffer.alloc(256);
+  const chroma = Buffer.alloc(64);
+  for (let mbY = 0; mbY < MB_ROWS; mbY += 1) {
+    for (let mbX = 0; mbX < MB_COLS; mbX += 1) {
+      w.ue(25).alignZero(); // mb_type I_PCM + pcm_alignment_zero_bits
+      for (let row = 0; row < 16; row += 1) {
+        const start = (mbY * 16 + row) * WIDTH + mbX * 16;
+        frame.luma.copy(luma, row * 16, start, start + 16);
+      }
+      w.bytes(luma);
+      for (const plane of [frame.cb, frame.cr]) {
+        for (let row = 0; row < 8; row += 1) {
+          const start = (mbY * 8 + row) * (WIDTH / 2) + mbX * 8;
+          plane.copy(chroma, row * 8, start, start + 8);
+        }
+        w.bytes(chroma);
+      }
+    }
+  }
+  w.trailing();
+  return nalUnit(3, 5, w.toBuffer());
+}
+
+function skipSlice(frameNum) {
+  const w = createBitWriter();
+  w.ue(0) // first_mb_in_slice
+    .ue(5) // slice_type: P (all slices)
+    .ue(0) // pic_parameter_set_id
+    .bits(frameNum % 16, 4) // frame_num
+    .bits(0, 1) // num_ref_idx_active_override_flag
+    .bits(0, 1) // ref_pic_list_modification_flag_l0
+    .bits(0, 1) // adaptive_ref_pic_marking_mode_flag
+    .se(0) // slice_qp_delta
+    .ue(1) // disable_deblocking_filter_idc
+    .ue(MB_COLS * MB_ROWS) // mb_skip_run
+    .trailing();
+  return nalUnit(2, 1, w.toBuffer());
+}
+
+const ACCESS_UNIT_DELIMITER = nalUnit(0, 9, Buffer.from([0xf0]));
+
+// --- MPEG-TS -----------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit += 1) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  return crc;
+}
+
+function psiPacket(pid, section) {
+  const crc = crc32(section);
+  const payload = Buffer.concat([Buffer.from([0]), section, Buffer.from([crc >>> 24, (crc >>> 16) & 0xff, (crc >>> 8) & 0xff, crc & 0xff])]);
+  const packet = Buffer.alloc(188, 0xff);
+  packet.set([0x47, 0x40 | (pid >> 8), pid & 0xff, 0x10], 0);
+  payload.copy(packet, 4);
+  return packet;
+}
+
+function programTables() {
+  const pat = Buffer.from([
+    0x00, 0xb0, 13, 0x00, 0x01, 0xc1, 0x00, 0x00,
+    0x00, 0x01, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff,
+  ]);
+  const pmt = Buffer.from([
+    0x02, 0xb0, 18, 0x00, 0x01, 0xc1, 0x00, 0x00,
+    0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0x00,
+    0x1b, 0xe0 | (VIDEO_PID >> 8), VIDEO_PID & 0xff, 0xf0, 0x00,
+  ]);
+  return [psiPacket(0, pat), psiPacket(PMT_PID, pmt)];
+}
+
+function timestampBytes(pts) {
+  return [
+    0x21 | ((Math.floor(pts / 2 ** 30) & 0x07) << 1),
+    (pts >>> 22) & 0xff,
+    ((pts >>> 14) & 0xfe) | 1,
+    (pts >>> 7) & 0xff,
+    ((pts << 1) & 0xfe) | 1,
+  ];
+}
+
+function pcrBytes(base) {
+  return [
+    Math.floor(base / 2 ** 25) & 0xff,
+    (base >>> 17) & 0xff,
+    (base >>> 9) & 0xff,
+    (base >>> 1) & 0xff,
+    ((base & 1) << 7) | 0x7e,
+    0x00,
+  ];
+}
+
+// Splits one PES packet into TS packets; the first one carries the PCR.
+function pesPackets(accessUnit, pts, keyframe, counter) {
+  const header = Buffer.from([0x00, 0x00, 0x01, 0xe0, 0x00, 0x00, 0x80, 0x80, 0x05, ...timestampBytes(pts)]);
+  const pes = Buffer.concat([header, accessUnit]);
+  const packets = [];
+  let offset = 0;
+
+  while (offset < pes.length) {
+    const first = offset === 0;
+    const adaptation = first ? [keyframe ? 0x50 : 0x10, ...pcrBytes(pts - 9000)] : [];
+    const room = 184 - (adaptation.length ? adaptation.length + 1 : 0);
+    const chunk = pes.subarray(offset, offset + room);
+    offset += chunk.length;
+
+    // Short last chunk: pad with adaptation field stuffing.
+    const stuffing = room - chunk.length;
+    let field = adaptation;
+    if (stuffing > 0) {
+      field = adaptation.length ? [...adaptation, ...new Array(stuffing).fill(0xff)] : (stuffing === 1 ? [] : [0x00, ...new Array(stuffing - 2).fill(0xff)]);
+    }
+    const hasField = adaptation.length > 0 || stuffing > 0;
+
+    const packet = Buffer.alloc(188);
+    packet.set([0x47, (first ? 0x40 : 0) | (VIDEO_PID >> 8), VIDEO_PID & 0xff, (hasField ? 0x30 : 0x10) | (counter.value & 0x0f)], 0);
+    counter.value += 1;
+    let cursor = 4;
+    if (hasField) {
+      packet[cursor] = field.length;
+      packet.set(field, cursor + 1);
+      cursor += field.length + 1;
+    }
+    chunk.copy(packet, cursor);
+    packets.push(packet);
+  }
+  return packets;
+}
+
+function renderSegment(frame) {
+  const frameTicks = PTS_CLOCK / FPS;
+  const counter = { value: 0 };
+  const parts = programTables();
+  const keyframe = Buffer.concat([ACCESS_UNIT_DELIMITER, sequenceParameterSet(), pictureParameterSet(), idrSlice(frame)]);
+  parts.push(...pesPackets(keyframe, PTS_CLOCK, true, counter));
+  for (let i = 1; i < FPS * DURATION_SECONDS; i += 1) {
+    const frame = Buffer.concat([ACCESS_UNIT_DELIMITER, skipSlice(i)]);
+    parts.push(...pesPackets(frame, PTS_CLOCK + i * frameTicks, false, counter));
+  }
+  return Buffer.concat(parts);
+}
+
+function clampProgress(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.max(0, Math.min(100, n)) : 0;
+}
+
+// MPEG-TS segment of a placeholder (null for unknown names); each one is
+// rendered once and kept in a small cache.
+function placeholderSegment(name) {
+  let segment = segmentCache.get(name);
+  if (!segment) {
+    const frame = renderPlaceholderFrame(name);
+    if (!frame) return null;
+    segment = renderSegment(frame);
+    if (segmentCache.size >= MAX_CACHED_SEGMENTS) segmentCache.delete(segmentCache.keys().next().value);
+    segmentCache.set(name, segment);
+  }
+  return segment;
+}
+
+function placeholderPlaylist(segmentUrl) {
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${DURATION_SECONDS}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXTINF:${DURATION_SECONDS.toFixed(1)},`,
+    segmentUrl,
+    '#EXT-X-ENDLIST',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  clampProgress,
+  placeholderSegment,
+  placeholderPlaylist,
+};
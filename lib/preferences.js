@@ -0,0 +1,180 @@
+'use strict';
+
+const { SOURCES, CODECS } = require('./release-filter');
+const { SORT_MODES } = require('./stream-sort');
+const { LANGUAGE_MODES } = require('./language');
+const { CATEGORIES } = require('./categories');
+
+// Per-user preferences travel inside the config token as a compact, versioned
+// block ("o"). Only values that differ from the defaults are stored, so older
+// tokens without the block simply decode to the defaults.
+const PREFERENCES_VERSION = 1;
+const MAX_RESULTS_LIMIT = 60;
+const QUALITIES = ['2160p', '1080p', '720p', 'sd'];
+// 'hun' was the single Hungarian option before audio and subtitles were split.
+const LANGUAGE_ALIASES = { hun: 'hun-audio' };
+const TRI_STATES = ['any', 'exclude', 'only'];
+// all: list and download everything; cached-first: TorBox-cached releases
+// lead the list; cached-only: only cached releases are listed (unknown ones
+// too for providers without a cache check) and resolve never starts a
+// download. Replaces the older `cachedOnly` flag.
+const CACHE_POLICIES = ['all', 'cached-first', 'cached-only'];
+// debrid: streams resolve through the debrid provider; p2p: Stremio-native
+// torrent streams (infoHash + fileIdx + tracker sources), no debrid needed.
+const STREAM_MODES = ['debrid', 'p2p'];
+// file: private-torrent mode, the debrid service gets the original .torrent
+// (the only place the passkey tracker goes); magnet: passkey-free magnets,
+// which only work for torrents the service already has.
+const TORRENT_UPLOADS = ['file', 'magnet'];
+// Whether the debrid service seeds what the addon adds (nCore hit-and-run
+// rules): always, only non-freeleech releases (freeleech downloads do not
+// count against the ratio), or never.
+const SEEDING_POLICIES = ['always', 'non-freeleech', 'never'];
+const MAX_KEYWORDS = 10;
+const MAX_SIZE_MB = 1024 * 1024;
+// Library cleanup limits for addon-added torrents (0 = off).
+const MAX_CLEANUP_DAYS = 365;
+const MAX_CLEANUP_SIZE_GB = 100 * 1024;
+const CATEGORY_SLUGS = Object.keys(CATEGORIES);
+
+const DEFAULT_PREFERENCES = Object.freeze({
+  maxResults: 0,
+  qualities: Object.freeze([]),
+  sort: 'seeders',
+  cachePolicy: 'all',
+  streamMode: 'debrid',
+  torrentUpload: 'file',
+  seeding: 'always',
+  cleanupAfterDays: 0,
+  cleanupMaxSizeGb: 0,
+  bingePrefetch: false,
+  language: 'any',
+  sources: Object.freeze([]),
+  excludeSources: Object.freeze([]),
+  codecs: Object.freeze([]),
+  excludeCodecs: Object.freeze([]),
+  threeD: 'any',
+  hdr: 'any',
+  minSizeMb: 0,
+  maxSizeMb: 0,
+  minSeeders: 0,
+  excludeKeywords: Object.freeze([]),
+  categories: Object.freeze([]),
+  excludeCategories: Object.freeze([]),
+});
+
+function toBoundedInt(value, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) return 0;
+  return Math.min(n, max);
+}
+
+function pickEnum(value, allowed, fallback) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return allowed.includes(normalized) ? normalized : fallback;
+}
+
+function pickList(value, allowed) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const picked = list.map((item) => String(item || '').trim().toLowerCase()).filter((item) => allowed.includes(item));
+  return Array.from(new Set(picked));
+}
+
+function pickKeywords(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const picked = list
+    .map((item) => String(item || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().slice(0, 32))
+    .filter(Boolean);
+  return Array.from(new Set(picked)).slice(0, MAX_KEYWORDS);
+}
+
+function isLegacyCachedOnly(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+function normalizePreferences(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  if (input.v != null && Number(input.v) > PREFERENCES_VERSION) {
+    throw new Error('unsupported preferences version');
+  }
+
+  return {
+    maxResults: toBoundedInt(input.maxResults, 1, MAX_RESULTS_LIMIT),
+    qualities: pickList(input.qualities, QUALITIES),
+    sort: pickEnum(input.sort, SORT_MODES, DEFAULT_PREFERENCES.sort),
+    cachePolicy: pickEnum(input.cachePolicy, CACHE_POLICIES, isLegacyCachedOnly(input.cachedOnly) ? 'cached-only' : DEFAULT_PREFERENCES.cachePolicy),
+    streamMode: pickEnum(input.streamMode, STREAM_MODES, DEFAULT_PREFERENCES.streamMode),
+    torrentUpload: pickEnum(input.torrentUpload, TORRENT_UPLOADS, DEFAULT_PREFERENCES.torrentUpload),
+    seeding: pickEnum(input.seeding, SEEDING_POLICIES, DEFAULT_PREFERENCES.seeding),
+    cleanupAfterDays: toBoundedInt(input.cleanupAfterDays, 1, MAX_CLEANUP_DAYS),
+    cleanupMaxSizeGb: toBoundedInt(input.cleanupMaxSizeGb, 1, MAX_CLEANUP_SIZE_GB),
+    bingePrefetch: input.bingePrefetch === true || input.bingePrefetch === 'true' || input.bingePrefetch === '1',
+    language: pickEnum(LANGUAGE_ALIASES[input.language] || input.language, LANGUAGE_MODES, DEFAULT_PREFERENCES.language),
+    sources: pickList(input.sources, SOURCES),
+    excludeSources: pickList(input.excludeSources, SOURCES),
+    codecs: pickList(input.codecs, CODECS),
+    excludeCodecs: pickList(input.excludeCodecs, CODECS),
+    threeD: pickEnum(input.threeD, TRI_STATES, DEFAULT_PREFERENCES.threeD),
+    hdr: pickEnum(input.hdr, TRI_STATES, DEFAULT_PREFERENCES.hdr),
+    minSizeMb: toBoundedInt(input.minSizeMb, 1, MAX_SIZE_MB),
+    maxSizeMb: toBoundedInt(input.maxSizeMb, 1, MAX_SIZE_MB),
+    minSeeders: toBoundedInt(input.minSeeders, 1, 100000),
+    excludeKeywords: pickKeywords(input.excludeKeywords),
+    categories: pickList(input.categories, CATEGORY_SLUGS),
+    excludeCategories: pickList(input.excludeCategories, CATEGORY_SLUGS),
+  };
+}
+
+function compactPreferences(preferences) {
+  const normalized = normalizePreferences(preferences);
+  const out = {};
+  for (const [key, value] of Object.entries(normalized)) {
+    const fallback = DEFAULT_PREFERENCES[key];
+    const same = Array.isArray(value) ? value.length === 0 : value === fallback;
+    if (!same) out[key] = value;
+  }
+  return Object.keys(out).length ? { v: PREFERENCES_VERSION, ...out } : null;
+}
+
+function preferencesFromForm(params) {
+  return normalizePreferences({
+    maxResults: params.get('maxResults'),
+    qualities: params.getAll('qualities'),
+    sort: params.get('sort'),
+    cachePolicy: params.get('cachePolicy'),
+    cachedOnly: params.get('cachedOnly'),
+    streamMode: params.get('streamMode'),
+    torrentUpload: params.get('torrentUpload'),
+    seeding: params.get('seeding'),
+    cleanupAfterDays: params.get('cleanupAfterDays'),
+    cleanupMaxSizeGb: params.get('cleanupMaxSizeGb'),
+    bingePrefetch: params.get('bingePrefetch'),
+    language: params.get('language'),
+    sources: params.getAll('sources'),
+    excludeSources: params.getAll('excludeSources'),
+    codecs: params.getAll('codecs'),
+    excludeCodecs: params.getAll('excludeCodecs'),
+    threeD: params.get('threeD'),
+    hdr: params.get('hdr'),
+    minSizeMb: params.get('minSizeMb'),
+    maxSizeMb: params.get('maxSizeMb'),
+    minSeeders: params.get('minSeeders'),
+    excludeKeywords: params.get('excludeKeywords'),
+    categories: params.getAll('categories'),
+    excludeCategories: params.getAll('excludeCategories'),
+  });
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  QUALITIES,
+  SORT_MODES,
+  TRI_STATES,
+  CACHE_POLICIES,
+  STREAM_MODES,
+  TORRENT_UPLOADS,
+  SEEDING_POLICIES,
+  normalizePreferences,
+  compactPreferences,
+  preferencesFromForm,
+};
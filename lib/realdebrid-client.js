@@ -0,0 +1,281 @@
+'use strict';
+
+const { fetch } = require('./fetch');
+const {
+  findTorrent,
+  getTorrentId,
+  getTorrentState,
+  getTorrentProgress,
+  getVideoFiles,
+  isTorrentError,
+  pickFileId,
+} = require('./torbox-client');
+let logError = (...args) => console.error(...args);
+try {
+  ({ logError } = require('./logger')); // optional in older deployments
+} catch {
+  // Fallback to console.error when logger module is missing on server.
+}
+
+// Real-Debrid REST client with the same surface as torbox-client. Torrents
+// are converted to the TorBox torrent shape, so the shared helpers (state,
+// progress, video files, file picking) work on them unchanged.
+// Real-Debrid has no instant-availability endpoint any more: checkCached
+// answers "unknown", and add-only-if-cached adds the torrent, selects its
+// files and deletes it again unless it is downloaded within a few seconds
+// (cached torrents take a moment to switch to `downloaded`). There is no
+// per-torrent seeding switch either, so `seed` is ignored.
+const API_BASE = 'https://api.real-debrid.com/rest/1.0';
+const RESOLVE_POLL_MS = Math.max(1000, Number(process.env.REALDEBRID_RESOLVE_POLL_MS || 2500) || 2500);
+const CACHED_WAIT_MS = Math.max(0, Number(process.env.REALDEBRID_CACHED_WAIT_MS ?? 5000) || 0);
+const CACHED_POLL_MS = 1000;
+const LIST_LIMIT = 100;
+const ERROR_STATUSES = ['magnet_error', 'error', 'virus', 'dead'];
+const VIDEO_EXT = /\.(mkv|mp4|avi|mov|wmv|m4v|webm|mpg|mpeg|ts|m2ts)$/i;
+
+async function apiCall({ path, method = 'GET', apiKey, form = null, body = null }) {
+  const headers = { authorization: `Bearer ${apiKey}` };
+  let requestBody = body;
+  if (form) {
+    requestBody = new URLSearchParams(form).toString();
+    headers['content-type'] = 'application/x-www-form-urlencoded';
+  }
+
+  const res = await fetch(`${API_BASE}${path}`, { method, headers, body: requestBody });
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { raw: text };
+  }
+
+  if (!res.ok) {
+    const detail = data?.error || text.slice(0, 220);
+    const err = new Error(`Real-Debrid ${res.status}: ${detail || 'Request failed'}`);
+    err.status = res.status;
+    err.data = data;
+    logError('realdebrid-api-error', { path, method, status: res.status, detail });
+    throw err;
+  }
+  return data;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function makeError(code, message, torrent = null) {
+  const err = new Error(message);
+  err.code = code;
+  if (code === 'TORBOX_NOT_READY') {
+    err.state = torrent ? getTorrentState(torrent) : '';
+    err.progress = torrent ? getTorrentProgress(torrent) : 0;
+  }
+  return err;
+}
+
+// Real-Debrid torrent (list or info) -> TorBox torrent shape. Only selected
+// files are kept: their order matches the order of `links`.
+function toLibraryTorrent(rd) {
+  const status = String(rd?.status || '').toLowerCase();
+  const files = (Array.isArray(rd?.files) ? rd.files : [])
+    .filter((file) => file.selected)
+    .map((file) => {
+      const name = String(file.path || '').replace(/^\/+/, '');
+      return { id: file.id, name, short_name: name, size: file.bytes };
+    });
+
+  return {
+    id: rd?.id,
+    hash: String(rd?.hash || '').toLowerCase(),
+    name: rd?.filename || rd?.original_filename || '',
+    size: rd?.bytes,
+    progress: rd?.progress,
+    download_state: ERROR_STATUSES.includes(status) ? 'error' : status,
+    download_present: status === 'downloaded',
+    download_finished: status === 'downloaded',
+    active: !ERROR_STATUSES.includes(status),
+    created_at: rd?.added,
+    files,
+    links: Array.isArray(rd?.links) ? rd.links : [],
+  };
+}
+
+async function checkCached({ infoHashes }) {
+  const hashes = (infoHashes || [])
+    .map((h) => String(h || '').toLowerCase())
+    .filter((h) => /^[a-f0-9]{40}$/.test(h));
+  return new Map(hashes.map((h) => [h, null]));
+}
+
+async function getMyTorrents({ apiKey }) {
+  const data = await apiCall({ path: `/torrents?limit=${LIST_LIMIT}`, apiKey });
+  return (Array.isArray(data) ? data : []).map(toLibraryTorrent);
+}
+
+async function getTorrent({ apiKey, torrentId }) {
+  try {
+    return toLibraryTorrent(await apiCall({ path: `/torrents/info/${encodeURIComponent(torrentId)}`, apiKey }));
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function deleteTorrent({ apiKey, torrentId }) {
+  await apiCall({ path: `/torrents/delete/${encodeURIComponent(torrentId)}`, method: 'DELETE', apiKey });
+}
+
+// Best-effort delete inside a resolve: a leftover torrent is no reason to fail it.
+async function discardTorrent({ apiKey, torrentId }) {
+  try {
+    await deleteTorrent({ apiKey, torrentId });
+  } catch (err) {
+    logError('realdebrid-delete-failed', { torrentId, error: err?.message || String(err || '') });
+  }
+}
+
+// Real-Debrid waits for a file selection before it starts; video files are
+// selected when there are any, otherwise everything.
+async function selectFiles({ apiKey, torrentId, info }) {
+  const videos = (info?.files || []).filter((file) => VIDEO_EXT.test(String(file.path || '')));
+  await apiCall({
+    path: `/torrents/selectFiles/${encodeURIComponent(torrentId)}`,
+    method: 'POST',
+    apiKey,
+    form: { files: videos.length ? videos.map((file) => file.id).join(',') : 'all' },
+  });
+}
+
+// -> { id } of the new torrent. Files are selected right away so the torrent
+// starts (and shows whether it was cached).
+async function addTorrent({ apiKey, magnet, file = null, addOnlyIfCached = false }) {
+  const created = file
+    ? await apiCall({ path: '/torrents/addTorrent', method: 'PUT', apiKey, body: file })
+    : await apiCall({ path: '/torrents/addMagnet', method: 'POST', apiKey, form: { magnet } });
+  const torrentId = String(created?.id || '');
+  if (!torrentId) throw new Error('Real-Debrid did not return a torrent ID');
+
+  const info = await apiCall({ path: `/torrents/info/${encodeURIComponent(torrentId)}`, apiKey });
+  if (String(info?.status) === 'waiting_files_selection') await selectFiles({ apiKey, torrentId, info });
+
+  if (addOnlyIfCached && !(await settlesAsCached({ apiKey, torrentId }))) {
+    await discardTorrent({ apiKey, torrentId });
+    throw makeError('TORBOX_NOT_CACHED', 'Not cached on Real-Debrid; cached-only mode does not start downloads');
+  }
+  return { id: torrentId };
+}
+
+// Polls a just-added torrent for up to CACHED_WAIT_MS until it is downloaded.
+async function settlesAsCached({ apiKey, torrentId }) {
+  const deadline = Date.now() + CACHED_WAIT_MS;
+  for (;;) {
+    const torrent = await getTorrent({ apiKey, torrentId });
+    if (torrent?.download_present) return true;
+    if (!torrent || isTorrentError(torrent)) return false;
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) return false;
+    await sleep(Math.min(CACHED_POLL_MS, remainingMs));
+  }
+}
+
+async function linkForFile({ apiKey, torrent, fileId }) {
+  const index = torrent.files.findIndex((file) => String(file.id) === String(fileId));
+  const link = torrent.links[index >= 0 ? index : 0];
+  if (!link) throw makeError('TORBOX_NOT_READY', 'Real-Debrid link not ready', torrent);
+  const data = await apiCall({ path: '/unrestrict/link', method: 'POST', apiKey, form: { link } });
+  if (!data?.download) throw new Error('Real-Debrid did not return a download URL');
+  return data.download;
+}
+
+async function resolveLink({
+  apiKey,
+  magnet,
+  infoHash,
+  torrentFile = null,
+  preferredFile,
+  season,
+  episode,
+  absoluteEpisode = null,
+  maxWaitMs = 15000,
+  addOnlyIfCached = false,
+  onPhase = null,
+  onAdded = null,
+}) {
+  const report = (phase, torrent = null) => {
+    if (!onPhase) return;
+    try {
+      onPhase({ phase, state: torrent ? getTorrentState(torrent) : '', progress: torrent ? getTorrentProgress(torrent) : 0 });
+    } catch {
+      // status reporting must never break a resolve
+    }
+  };
+  const deadline = Date.now() + Math.max(1000, Number(maxWaitMs) || 15000);
+  const hash = String(infoHash || '').toLowerCase();
+  if (!/^[a-f0-9]{40}$/.test(hash)) {
+    const err = new Error('Real-Debrid resolve: invalid infoHash');
+    err.code = 'TORBOX_INVALID_HASH';
+    throw err;
+  }
+
+  let listed = findTorrent(await getMyTorrents({ apiKey }), hash);
+  if (listed && isTorrentError(listed)) {
+    await discardTorrent({ apiKey, torrentId: getTorrentId(listed) });
+    listed = null;
+  }
+
+  let torrentId = listed ? getTorrentId(listed) : '';
+  if (!torrentId) {
+    report('adding');
+    ({ id: torrentId } = await addTorrent({ apiKey, magnet: torrentFile ? null : magnet, file: torrentFile, addOnlyIfCached }));
+    if (onAdded) onAdded({ torrentId });
+  }
+
+  let torrent = null;
+  while (Date.now() <= deadline) {
+    torrent = await getTorrent({ apiKey, torrentId });
+    if (!torrent) break;
+    if (getTorrentState(torrent) === 'waiting_files_selection') {
+      await selectFiles({ apiKey, torrentId, info: await apiCall({ path: `/torrents/info/${encodeURIComponent(torrentId)}`, apiKey }) });
+      // Wait like any other poll when the selection does not take at once.
+      await sleep(Math.min(RESOLVE_POLL_MS, Math.max(0, deadline - Date.now())));
+      continue;
+    }
+    if (torrent.download_present) {
+      const fileId = pickFileId(torrent, preferredFile, season, episode, absoluteEpisode);
+      return linkForFile({ apiKey, torrent, fileId: fileId ?? getVideoFiles(torrent)[0]?.id });
+    }
+    if (isTorrentError(torrent)) throw new Error(`Real-Debrid torrent failed: ${getTorrentState(torrent)}`);
+
+    report('downloading', torrent);
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) break;
+    await sleep(Math.min(RESOLVE_POLL_MS, remainingMs));
+  }
+
+  throw makeError('TORBOX_NOT_READY', 'Real-Debrid not ready', torrent);
+}
+
+async function resolveLibraryLink({ apiKey, torrentId, fileId = null }) {
+  const torrent = await getTorrent({ apiKey, torrentId });
+  if (!torrent) throw makeError('TORBOX_NOT_FOUND', 'Real-Debrid torrent not found in library');
+  if (!torrent.download_present) throw makeError('TORBOX_NOT_READY', 'Real-Debrid not ready', torrent);
+
+  const pickedId = fileId != null && getVideoFiles(torrent).some((f) => f.id === String(fileId))
+    ? String(fileId)
+    : pickFileId(torrent, null, null, null);
+  return linkForFile({ apiKey, torrent, fileId: pickedId });
+}
+
+module.exports = {
+  checkCached,
+  getMyTorrents,
+  getTorrent,
+  addTorrent,
+  deleteTorrent,
+  resolveLink,
+  resolveLibraryLink,
+  toLibraryTorrent,
+  linkForFile,
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+const net = require('node:net');
+const tls = require('node:tls');
+
+// Minimal RESP2 client (no dependency) for the cache store. Supports
+// redis:// and rediss:// URLs with optional user/password and /db. Commands
+// are pipelined on one connection; a broken connection rejects everything
+// pending and the next command reconnects.
+const COMMAND_TIMEOUT_MS = 3000;
+const clients = new Map();
+
+function parseRedisUrl(value) {
+  const url = new URL(String(value || 'redis://127.0.0.1:6379'));
+  return {
+    tls: url.protocol === 'rediss:',
+    host: url.hostname || '127.0.0.1',
+    port: Number(url.port) || 6379,
+    username: decodeURIComponent(url.username || ''),
+    password: decodeURIComponent(url.password || ''),
+    db: Number(url.pathname.replace(/^\//, '')) || 0,
+  };
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+// Parses one reply starting at `offset`; returns null when the buffer does
+// not hold a complete reply yet.
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  if (type === '+') return { value: line, next };
+  if (type === '-') return { value: new Error(line), next };
+  if (type === ':') return { value: Number(line), next };
+  if (type === '$') {
+    const length = Number(line);
+    if (length < 0) return { value: null, next };
+    if (buffer.length < next + length + 2) return null;
+    return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+  }
+  if (type === '*') {
+    const count = Number(line);
+    if (count < 0) return { value: null, next };
+    const items = [];
+    let cursor = next;
+    for (let i = 0; i < count; i += 1) {
+      const item = parseReply(buffer, cursor);
+      if (!item) return null;
+      items.push(item.value);
+      cursor = item.next;
+    }
+    return { value: items, next: cursor };
+  }
+  throw new Error(`unexpected RESP reply type: ${type}`);
+}
+
+function createRedisClient(url) {
+  const options = parseRedisUrl(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    while (pending.length) {
+      const entry = pending.shift();
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  function reset(error) {
+    if (socket) socket.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+    failAll(error || new Error('redis connection closed'));
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    try {
+      for (let reply = parseReply(buffer, offset); reply; reply = parseReply(buffer, offset)) {
+        offset = reply.next;
+        const entry = pending.shift();
+        if (!entry) continue;
+        clearTimeout(entry.timer);
+        if (reply.value instanceof Error) entry.reject(reply.value);
+        else entry.resolve(reply.value);
+        if (offset >= buffer.length) break;
+      }
+    } catch (error) {
+      reset(error);
+      return;
+    }
+    buffer = buffer.slice(offset);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      entry.timer = setTimeout(() => reset(new Error('redis command timeout')), COMMAND_TIMEOUT_MS);
+      entry.timer.unref();
+      pending.push(entry);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    const connectOptions = { host: options.host, port: options.port };
+    socket = options.tls ? tls.connect({ ...connectOptions, servername: options.host }) : net.connect(connectOptions);
+    // Never keep the process (or a serverless invocation) alive for the cache.
+    socket.unref();
+    const current = socket;
+    // Events of an already replaced socket must not tear down the new one.
+    current.on('data', (chunk) => { if (socket === current) onData(chunk); });
+    current.on('error', (error) => { if (socket === current) reset(error); });
+    current.on('close', () => { if (socket === current) reset(); });
+
+    // Queued right behind the connect, so they run before any real command.
+    const setup = [];
+    if (options.password) {
+      setup.push(send(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]));
+    }
+    if (options.db) setup.push(send(['SELECT', String(options.db)]));
+    for (const step of setup) step.catch(() => {});
+  }
+
+  return {
+    command(args) {
+      if (!socket) connect();
+      return send(args);
+    },
+    close() {
+      reset();
+    },
+  };
+}
+
+function getRedisClient(url) {
+  const key = String(url || '');
+  if (!clients.has(key)) clients.set(key, createRedisClient(url));
+  return clients.get(key);
+}
+
+module.exports = {
+  parseRedisUrl,
+  parseReply,
+  getRedisClient,
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const { filenameParse } = require('@ctrl/video-filename-parser');
+const { describeLanguage } = require('./language');
+
+const SOURCES = ['bluray', 'webdl', 'webrip', 'tv', 'dvd', 'screener', 'ppv', 'cam', 'telesync', 'telecine', 'workprint'];
+const CODECS = ['x265', 'x264', 'xvid', 'other'];
+const CODEC_ALIASES = { h265: 'x265', h264: 'x264', x265: 'x265', x264: 'x264', xvid: 'xvid' };
+const RESOLUTION_QUALITY = { '2160P': '2160p', '1080P': '1080p', '720P': '720p' };
+const MB = 1024 * 1024;
+
+// Quality from the title text alone ('' when it names none); used for stream
+// labels and when filenameParse finds no resolution.
+function inferQuality(title) {
+  const t = String(title || '').toLowerCase();
+  if (t.includes('2160') || t.includes('4k') || t.includes('uhd')) return '2160p';
+  if (t.includes('1080')) return '1080p';
+  if (t.includes('720')) return '720p';
+  return '';
+}
+
+function parseTitle(title) {
+  try {
+    return filenameParse(String(title || ''), false) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Flattens the filenameParse output of a search row into the attributes the
+// per-user release filters work on.
+function describeRelease(item) {
+  const title = String(item?.title || '');
+  const parsed = parseTitle(title);
+  const edition = parsed.edition || {};
+  const codec = CODEC_ALIASES[String(parsed.videoCodec || '').toLowerCase()] || (parsed.videoCodec ? 'other' : '');
+
+  return {
+    quality: RESOLUTION_QUALITY[parsed.resolution] || (parsed.resolution ? 'sd' : inferQuality(title) || 'sd'),
+    sources: (Array.isArray(parsed.sources) ? parsed.sources : []).map((source) => String(source).toLowerCase()),
+    codec,
+    is3d: Boolean(edition.threeD || edition.hsbs || edition.sbs || edition.hou || /\b3d\b/i.test(title)),
+    hdr: Boolean(edition.hdr || edition.dolbyVision),
+    group: parsed.group || '',
+    sizeBytes: Number(item?.sizeBytes) || 0,
+    seeders: Number(item?.seeders) || 0,
+    language: describeLanguage(item),
+  };
+}
+
+function matchesTriState(value, mode) {
+  if (mode === 'exclude') return !value;
+  if (mode === 'only') return value;
+  return true;
+}
+
+function hasKeyword(title, keywords) {
+  const normalized = ` ${String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  return keywords.some((keyword) => normalized.includes(` ${keyword} `));
+}
+
+function matchesReleaseFilters(item, release, prefs) {
+  if (prefs.qualities.length && !prefs.qualities.includes(release.quality)) return false;
+  if (prefs.sources.length && !release.sources.some((source) => prefs.sources.includes(source))) return false;
+  if (release.sources.some((source) => prefs.excludeSources.includes(source))) return false;
+  if (prefs.codecs.length && !prefs.codecs.includes(release.codec)) return false;
+  if (release.codec && prefs.excludeCodecs.includes(release.codec)) return false;
+  if (!matchesTriState(release.is3d, prefs.threeD)) return false;
+  if (!matchesTriState(release.hdr, prefs.hdr)) return false;
+  if (prefs.minSeeders && release.seeders < prefs.minSeeders) return false;
+  // Unknown size (0) is kept, nCore does not always report it.
+  if (release.sizeBytes && prefs.minSizeMb && release.sizeBytes < prefs.minSizeMb * MB) return false;
+  if (release.sizeBytes && prefs.maxSizeMb && release.sizeBytes > prefs.maxSizeMb * MB) return false;
+  if (prefs.excludeKeywords.length && hasKeyword(item?.title, prefs.excludeKeywords)) return false;
+  return true;
+}
+
+function filterReleases(items, prefs) {
+  const out = [];
+  for (const item of items || []) {
+    const release = describeRelease(item);
+    if (matchesReleaseFilters(item, release, prefs)) out.push({ ...item, release });
+  }
+  return out;
+}
+
+module.exports = {
+  SOURCES,
+  CODECS,
+  describeRelease,
+  filterReleases,
+  inferQuality,
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+// Comma separated list, first entry is the active secret. Older entries are
+// only used for decoding, which allows rotating secrets without breaking
+// already installed manifests.
+const CONFIG_SECRETS = parseSecrets(process.env.CONFIG_SECRETS || process.env.CONFIG_SECRET || '');
+
+function parseSecrets(value) {
+  return String(value || '')
+    .split(',')
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+}
+
+function deriveKey(secret, purpose) {
+  return crypto.createHmac('sha256', String(secret)).update(`ncore-addon:${purpose}`).digest();
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function getKeyring(purpose) {
+  return CONFIG_SECRETS.map((secret) => {
+    const key = deriveKey(secret, purpose);
+    return { id: keyId(key), key };
+  });
+}
+
+function hasSecrets() {
+  return CONFIG_SECRETS.length > 0;
+}
+
+module.exports = {
+  getKeyring,
+  hasSecrets,
+  parseSecrets,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const { findTorrent, getTorrentState } = require('./torbox-client');
+
+// Seeding policy and the hit-and-run (H&R) report. nCore counts a download as
+// hit-and-run unless it is seeded for HNR_SEED_HOURS or up to a 1.0 ratio;
+// freeleech downloads are exempt. The addon keeps a ledger of the torrents it
+// added to a debrid account and matches it against the account's list. The
+// report is an estimate: the list only shows the current state, not how long
+// a torrent has actually seeded.
+const HNR_SEED_HOURS = Math.max(1, Number(process.env.NCORE_HNR_SEED_HOURS || 48) || 48);
+const HNR_RATIO = 1;
+const LEDGER_MAX_ENTRIES = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+function shouldSeed(policy, freeleech) {
+  if (policy === 'never') return false;
+  if (policy === 'non-freeleech') return !freeleech;
+  return true;
+}
+
+// A re-added torrent is downloaded again, so its entry (and H&R clock) is
+// replaced. Newest first.
+function addLedgerEntry(entries, entry) {
+  const rest = (Array.isArray(entries) ? entries : []).filter((item) => item.infoHash !== entry.infoHash);
+  return [entry, ...rest].slice(0, LEDGER_MAX_ENTRIES);
+}
+
+function isSeeding(torrent) {
+  return Boolean(torrent) && torrent.active !== false && /^(uploading|seeding)/.test(getTorrentState(torrent));
+}
+
+// -> { status: 'safe' | 'seeding' | 'risk' | 'unknown', reason }
+function hnrStatus(entry, torrent, now) {
+  const ratio = Number(torrent?.ratio);
+  if (entry.freeleech) return { status: 'safe', reason: 'freeleech' };
+  if (ratio >= HNR_RATIO) return { status: 'safe', reason: 'ratio' };
+  // seed: null means the provider has no seeding switch (Real-Debrid).
+  if (entry.seed == null) return { status: 'unknown', reason: 'no-seeding-control' };
+  if (!entry.seed) return { status: 'risk', reason: 'seeding-disabled' };
+  // The library cleanup notes when it deleted a torrent; other removals are
+  // unknown, so they count as early.
+  const seededUntil = torrent ? now : entry.removedAt;
+  if (seededUntil && seededUntil - entry.addedAt >= HNR_SEED_HOURS * HOUR_MS) return { status: 'safe', reason: 'seed-time' };
+  if (!torrent) return { status: 'risk', reason: 'removed' };
+  if (isSeeding(torrent)) return { status: 'seeding', reason: 'seed-time-pending' };
+  return { status: 'risk', reason: 'not-seeding' };
+}
+
+function buildHnrReport(entries, list, now = Date.now()) {
+  const torrents = (Array.isArray(entries) ? entries : []).map((entry) => {
+    const torrent = findTorrent(list || [], entry.infoHash);
+    const ratio = Number(torrent?.ratio);
+    return {
+      title:     entry.title || '',
+      torrentId: entry.torrentId || null,
+      infoHash:  entry.infoHash,
+      freeleech: Boolean(entry.freeleech),
+      seed:      entry.seed == null ? null : Boolean(entry.seed),
+      addedAt:   new Date(entry.addedAt).toISOString(),
+      removedAt: entry.removedAt ? new Date(entry.removedAt).toISOString() : null,
+      hours:     Math.floor((now - entry.addedAt) / HOUR_MS),
+      inLibrary: Boolean(torrent),
+      state:     torrent ? getTorrentState(torrent) : '',
+      ratio:     Number.isFinite(ratio) ? ratio : null,
+      ...hnrStatus(entry, torrent, now),
+    };
+  });
+
+  return {
+    seedHours: HNR_SEED_HOURS,
+    atRisk:    torrents.filter((item) => item.status === 'risk').length,
+    torrents,
+  };
+}
+
+module.exports = {
+  HNR_SEED_HOURS,
+  shouldSeed,
+  addLedgerEntry,
+  hnrStatus,
+  buildHnrReport,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const { getKeyring } = require('./secrets');
+
+// Stateless resolve keys: the selection itself is carried in the resolve URL
+// and signed with HMAC-SHA256, so /resolve works on any instance and after
+// restarts. Format: s1~<keyId>~<base64url(json)>~<base64url(mac)>
+// ('~' because the resolve route treats '.' as a file extension). Keys are
+// bound to the config token, so they cannot be replayed with another one.
+// The payload is signed, not encrypted: it only holds public torrent data
+// (no nCore download key). Needs CONFIG_SECRETS; without it callers fall
+// back to the cached selection entries.
+const PREFIX = 's1';
+const KEY_PURPOSE = 'selection-key';
+const MAC_BYTES = 16;
+const FIELDS = {
+  infoHash: 'h',
+  torrentId: 'd',
+  fileName: 'f',
+  season: 's',
+  episode: 'e',
+  absoluteEpisode: 'a',
+  torboxId: 'b',
+  fileId: 'i',
+  imdbId: 'm',
+  releaseTitle: 'r',
+  freeleech: 'l',
+};
+
+// Short hash of the config token. Selections carry it instead of the token,
+// so cached selections and signed keys never hold the credentials.
+function tokenBinding(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('base64url').slice(0, 16);
+}
+
+function mac(key, keyId, payload) {
+  return crypto.createHmac('sha256', key).update(`${PREFIX}~${keyId}~${payload}`).digest().subarray(0, MAC_BYTES).toString('base64url');
+}
+
+function encodeSelectionKey(token, selection) {
+  const [active] = getKeyring(KEY_PURPOSE);
+  if (!active) return null;
+
+  const body = { t: tokenBinding(token) };
+  for (const [field, short] of Object.entries(FIELDS)) {
+    const value = selection?.[field];
+    if (value != null && value !== '') body[short] = value;
+  }
+  const payload = Buffer.from(JSON.stringify(body), 'utf8').toString('base64url');
+  return `${PREFIX}~${active.id}~${payload}~${mac(active.key, active.id, payload)}`;
+}
+
+// Returns the selection, or null when the key is malformed, signed with an
+// unknown secret, tampered with, or issued for another token.
+function decodeSelectionKey(token, value) {
+  const [prefix, keyId, payload, signature] = String(value || '').split('~');
+  if (prefix !== PREFIX || !keyId || !payload || !signature) return null;
+
+  const given = Buffer.from(signature, 'base64url');
+  const valid = getKeyring(KEY_PURPOSE)
+    .filter((entry) => entry.id === keyId)
+    .some((entry) => {
+      const expected = Buffer.from(mac(entry.key, entry.id, payload), 'base64url');
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+  if (!valid) return null;
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!body || body.t !== tokenBinding(token)) return null;
+
+  const selection = { tokenBinding: body.t };
+  for (const [field, short] of Object.entries(FIELDS)) {
+    selection[field] = body[short] != null ? body[short] : null;
+  }
+  return selection;
+}
+
+module.exports = {
+  encodeSelectionKey,
+  decodeSelectionKey,
+  tokenBinding,
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+// Resolve status: phases reported by /:token/status/:selKey and the small
+// HTML view of the same data (meant for a phone browser, refreshes itself
+// until the phase is final). The hit-and-run report (/:token/hnr) shares the
+// look.
+const RESOLVE_PHASES = {
+  pending: 'Még nem indult',
+  'fetching-torrent': 'Torrent letöltése nCore-ról',
+  adding: 'Hozzáadás a debrid fiókhoz',
+  downloading: 'Letöltés folyamatban',
+  ready: 'Lejátszható',
+  failed: 'Hiba',
+};
+const FINAL_PHASES = ['ready', 'failed'];
+const HNR_STATUSES = {
+  safe: 'Rendben',
+  seeding: 'Seedel',
+  risk: 'H&R veszély',
+  unknown: 'Ismeretlen',
+};
+const HNR_REASONS = {
+  freeleech: 'Freeleech',
+  ratio: 'Arány legalább 1',
+  'seed-time': 'Letelt a seedidő',
+  'seed-time-pending': 'Még seedelni kell',
+  'no-seeding-control': 'A szolgáltatónál nem állítható a seedelés',
+  'seeding-disabled': 'Seedelés kikapcsolva',
+  removed: 'Törölve a debrid fiókból',
+  'not-seeding': 'Nem seedel',
+};
+const REFRESH_SECONDS = 10;
+
+function phaseLabel(phase) {
+  return RESOLVE_PHASES[phase] || String(phase || '');
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderStatusPage(status) {
+  const final = FINAL_PHASES.includes(status.phase);
+  const progress = status.progress == null ? null : Math.max(0, Math.min(100, Number(status.progress) || 0));
+  const rows = [
+    ['Fájl', status.fileName],
+    ['Debrid állapot', status.state],
+    ['Hiba', status.error],
+    ['Frissítve', status.updatedAt],
+  ].filter(([, value]) => value);
+
+  return `<!doctype html>
+<html lang="hu">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  ${final ? '' : `<meta http-equiv="refresh" content="${REFRESH_SECONDS}" />`}
+  <title>${escapeHtml(phaseLabel(status.phase))} - nCore Web Addon</title>
+  <style>
+    body { margin: 0; padding: 24px; font-family: system-ui, sans-serif; background: #111; color: #eee; }
+    main { max-width: 480px; margin: 0 auto; }
+    h1 { font-size: 1.4rem; margin: 0 0 16px; }
+    .bar { height: 14px; background: #333; border-radius: 7px; overflow: hidden; margin: 12px 0; }
+    .bar span { display: block; height: 100%; background: #2ecc71; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 6px 12px; word-break: break-all; }
+    dt { color: #999; }
+    dd { margin: 0; }
+    .failed { color: #ff6b6b; }
+    .ready { color: #2ecc71; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1 class="${escapeHtml(status.phase)}">${escapeHtml(phaseLabel(status.phase))}${progress != null ? ` (${progress}%)` : ''}</h1>
+    ${progress != null ? `<div class="bar"><span style="width: ${progress}%"></span></div>` : ''}
+    <dl>
+      ${rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n      ')}
+    </dl>
+    ${final ? '' : `<p>Az oldal ${REFRESH_SECONDS} másodpercenként frissül.</p>`}
+  </main>
+</body>
+</html>
+`;
+}
+
+function renderHnrPage(report) {
+  const rows = report.torrents.map((item) => `<tr class="${escapeHtml(item.status)}">
+        <td>${escapeHtml(item.title || item.infoHash)}</td>
+        <td>${escapeHtml(item.addedAt.slice(0, 16).replace('T', ' '))}</td>
+        <td>${escapeHtml(item.ratio == null ? '-' : item.ratio.toFixed(2))}</td>
+        <td>${escapeHtml(HNR_STATUSES[item.status] || item.status)}</td>
+        <td>${escapeHtml(HNR_REASONS[item.reason] || item.reason)}</td>
+      </tr>`);
+
+  return `<!doctype html>
+<html lang="hu">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Hit &amp; run jelentés - nCore Web Addon</title>
+  <style>
+    body { margin: 0; padding: 24px; font-family: system-ui, sans-serif; background: #111; color: #eee; }
+    main { max-width: 960px; margin: 0 auto; }
+    h1 { font-size: 1.4rem; margin: 0 0 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #333; word-break: break-all; }
+    th { color: #999; font-weight: normal; }
+    .risk { color: #ff6b6b; }
+    .safe { color: #2ecc71; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1 class="${report.atRisk ? 'risk' : 'safe'}">Hit &amp; run: ${report.atRisk} veszélyeztetett torrent</h1>
+    <p>Az addon által hozzáadott torrentek. nCore-on legalább ${report.seedHours} óra seed vagy 1-es arány kell (freeleech kivétel); az állapot becslés a debrid lista alapján.</p>
+    ${rows.length ? `<table>
+      <tr><th>Torrent</th><th>Hozzáadva</th><th>Arány</th><th>Állapot</th><th>Ok</th></tr>
+      ${rows.join('\n      ')}
+    </table>` : '<p>Az addon még nem adott hozzá torrentet.</p>'}
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  phaseLabel,
+  renderStatusPage,
+  renderHnrPage,
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const { languageRank } = require('./language');
+
+// Sort strategies for the stream list. Entries are { item, availability }
+// where item is an nCore result (with the `release` block from
+// release-filter) and availability is the TorBox state of its infoHash.
+const SORT_MODES = ['seeders', 'quality', 'cached-quality', 'quality-size', 'size-asc'];
+const QUALITY_RANK = { '2160p': 3, '1080p': 2, '720p': 1 };
+const AVAILABILITY_RANK = { library: 4, cached: 3, downloading: 2, unknown: 1, uncached: 0 };
+
+function qualityRank(entry) {
+  return QUALITY_RANK[entry.item.release?.quality] || 0;
+}
+
+function sizeOf(entry) {
+  return Number(entry.item.sizeBytes) || 0;
+}
+
+function byAvailability(a, b) {
+  return (AVAILABILITY_RANK[b.availability] || 0) - (AVAILABILITY_RANK[a.availability] || 0);
+}
+
+function byQuality(a, b) {
+  return qualityRank(b) - qualityRank(a);
+}
+
+function bySeeders(a, b) {
+  return (Number(b.item.seeders) || 0) - (Number(a.item.seeders) || 0);
+}
+
+function bySizeDesc(a, b) {
+  return sizeOf(b) - sizeOf(a);
+}
+
+// Unknown sizes go last, otherwise they would always win the mobile sort.
+function bySizeAsc(a, b) {
+  const sa = sizeOf(a) || Infinity;
+  const sb = sizeOf(b) || Infinity;
+  return sa === sb ? 0 : (sa < sb ? -1 : 1);
+}
+
+function byLanguage(language) {
+  if (!language || language === 'any') return null;
+  return (a, b) => languageRank(b.item.release?.language, language) - languageRank(a.item.release?.language, language);
+}
+
+const STRATEGIES = {
+  seeders: { availabilityFirst: false, keys: [bySeeders] },
+  quality: { availabilityFirst: false, keys: [byQuality, bySeeders] },
+  'cached-quality': { availabilityFirst: true, keys: [byQuality, bySeeders] },
+  'quality-size': { availabilityFirst: false, keys: [byQuality, bySizeDesc] },
+  'size-asc': { availabilityFirst: false, keys: [bySizeAsc, bySeeders] },
+};
+
+function usesAvailability(sort) {
+  return Boolean(STRATEGIES[sort]?.availabilityFirst);
+}
+
+// The language preference ranks right after availability (when the strategy
+// or the cached-first policy uses it), so "cached first" still wins over
+// "Hungarian first".
+function sortStreamEntries(entries, { sort, language, cachePolicy } = {}) {
+  const strategy = STRATEGIES[sort] || STRATEGIES.seeders;
+  const comparators = [
+    strategy.availabilityFirst || cachePolicy === 'cached-first' ? byAvailability : null,
+    byLanguage(language),
+    ...strategy.keys,
+  ].filter(Boolean);
+
+  return entries.slice().sort((a, b) => {
+    for (const compare of comparators) {
+      const diff = compare(a, b);
+      if (diff) return diff;
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  SORT_MODES,
+  sortStreamEntries,
+  usesAvailability,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const { fetch } = require('./fetch');
+const { findEpisodeFile } = require('./episodes');
 let logError = (...args) => console.error(...args);
 try {
   ({ logError } = require('./logger')); // optional in older deployments
@@ -216,8 +217,8 @@ function findTorrent(list, hash) {
   return nonFailed || found[0];
 }
 
-function pickFileId(torrent, preferredName, season, episode) {
-  const files = getFiles(torrent)
+function getVideoFiles(torrent) {
+  return getFiles(torrent)
     .map((file) => ({
       id: String(file?.id ?? file?.file_id ?? file?.fileId ?? ''),
       name: String(file?.name || file?.short_name || file?.filename || file?.path || ''),
@@ -225,25 +226,16 @@ function pickFileId(torrent, preferredName, season, episode) {
       size: Number(file?.size ?? file?.bytes ?? file?.length ?? 0) || 0,
     }))
     .filter((f) => f.id && VIDEO_EXTS.some((ext) => f.short.toLowerCase().endsWith(ext)));
+}
 
-  if (!files.length) return null;
-
-  if (season && episode) {
-    const ss = String(season).padStart(2, '0');
-    const ee = String(episode).padStart(2, '0');
+function pickFileId(torrent, preferredName, season, episode, absoluteEpisode = null) {
+  const files = getVideoFiles(torrent);
 
-    const episodic = files.filter((file) => {
-      const n = file.name.toLowerCase();
-      const sxe = new RegExp(`\\bs${ss}\\s*[._-]?e${ee}\\b`, 'i').test(n);
-      const x = new RegExp(`\\b${season}\\s*x\\s*0*${episode}\\b`, 'i').test(n);
-      const ranged = new RegExp(`\\bs${ss}\\s*[._-]?e${ee}\\s*[-e]\\d+\\b`, 'i').test(n);
-      return (sxe || x) && !ranged;
-    });
+  if (!files.length) return null;
 
-    if (episodic.length) {
-      episodic.sort((a, b) => b.size - a.size);
-      return episodic[0].id;
-    }
+  if ((season && episode) || absoluteEpisode) {
+    const match = findEpisodeFile(files, { season, episode, absoluteEpisode }, { releaseTitle: torrent?.name });
+    if (match) return match.file.id;
   }
 
   if (preferredName) {
@@ -270,12 +262,34 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function makeNotReadyError() {
+// Carries the last known TorBox state/progress for the placeholder video.
+function makeNotCachedError() {
+  const err = new Error('Not cached on TorBox; cached-only mode does not start downloads');
+  err.code = 'TORBOX_NOT_CACHED';
+  return err;
+}
+
+function isNotCachedError(error) {
+  const text = `${error?.message || ''} ${error?.data?.error || ''} ${error?.data?.detail || ''}`;
+  return /cach/i.test(text);
+}
+
+function makeNotReadyError(torrent = null) {
   const err = new Error('TorBox not ready');
   err.code = 'TORBOX_NOT_READY';
+  err.state = torrent ? getTorrentState(torrent) : '';
+  err.progress = torrent ? getTorrentProgress(torrent) : 0;
   return err;
 }
 
+// TorBox `seed`: 1 = account default, 2 = seed, 3 = do not seed. Booleans
+// come from the seeding policy; numbers are passed through.
+function toSeedParam(seed) {
+  if (seed == null) return null;
+  if (typeof seed === 'boolean') return seed ? '2' : '3';
+  return String(seed);
+}
+
 async function addTorrent({
   apiKey,
   magnet,
@@ -288,6 +302,7 @@ async function addTorrent({
 }) {
   let body;
   const uploadFile = toUploadFile(file, name || 'ncore.torrent');
+  const seedParam = toSeedParam(seed);
   debugLog('torbox-create-input', {
     hasMagnet: Boolean(magnet),
     hasFile: Boolean(file),
@@ -302,7 +317,7 @@ async function addTorrent({
     if (asQueued) form.set('as_queued', 'true');
     if (addOnlyIfCached) form.set('add_only_if_cached', 'true');
     if (name) form.set('name', String(name));
-    if (seed != null) form.set('seed', String(seed));
+    if (seedParam != null) form.set('seed', seedParam);
     body = form.toString();
   } else {
     body = makeForm({
@@ -312,7 +327,7 @@ async function addTorrent({
       as_queued: asQueued ? 'true' : 'false',
       add_only_if_cached: addOnlyIfCached ? 'true' : 'false',
       allow_zip: allowZip ? 'true' : 'false',
-      seed: seed == null ? null : String(seed),
+      seed: seedParam,
     });
   }
 
@@ -367,6 +382,13 @@ async function controlTorrent({ apiKey, torrentId, operation }) {
   });
 }
 
+// format=list answers with torrent objects ({ hash, name, ... }); plain hash
+// strings are accepted too.
+function cachedHashSet(data) {
+  const list = Array.isArray(data?.data) ? data.data : [];
+  return new Set(list.map((item) => String((item && typeof item === 'object' ? item.hash : item) || '').toLowerCase()));
+}
+
 async function checkCached({ apiKey, infoHashes }) {
   const hashes = (infoHashes || [])
     .map((h) => String(h || '').toLowerCase())
@@ -383,7 +405,7 @@ async function checkCached({ apiKey, infoHashes }) {
       body: { hashes },
     });
 
-    const cached = new Set((Array.isArray(data?.data) ? data.data : []).map((h) => String(h || '').toLowerCase()));
+    const cached = cachedHashSet(data);
     return new Map(hashes.map((h) => [h, cached.has(h)]));
   } catch {
     logError('torbox-checkcached-post-failed');
@@ -399,7 +421,7 @@ async function checkCached({ apiKey, infoHashes }) {
         },
       });
 
-      const cached = new Set((Array.isArray(data?.data) ? data.data : []).map((h) => String(h || '').toLowerCase()));
+      const cached = cachedHashSet(data);
       return new Map(hashes.map((h) => [h, cached.has(h)]));
     } catch {
       logError('torbox-checkcached-get-failed');
@@ -417,8 +439,22 @@ async function resolveLink({
   preferredFile,
   season,
   episode,
+  absoluteEpisode = null,
   maxWaitMs = 15000,
+  addOnlyIfCached = false,
+  seed = null,
+  onPhase = null,
+  onAdded = null,
 }) {
+  // Progress reports for the status page: 'adding', then 'downloading'.
+  const report = (phase, torrent = null) => {
+    if (!onPhase) return;
+    try {
+      onPhase({ phase, state: torrent ? getTorrentState(torrent) : '', progress: torrent ? getTorrentProgress(torrent) : 0 });
+    } catch {
+      // status reporting must never break a resolve
+    }
+  };
   const waitMs = Math.max(1000, Number(maxWaitMs) || 15000);
   const deadline = Date.now() + waitMs;
 
@@ -445,6 +481,7 @@ async function resolveLink({
   }
 
   if (!torrent) {
+    report('adding');
     let created;
     try {
       created = await addTorrent({
@@ -453,27 +490,33 @@ async function resolveLink({
         file: torrentFile || null,
         name: torrentFileName || null,
         asQueued: false,
-        addOnlyIfCached: false,
+        addOnlyIfCached,
+        seed,
       });
     } catch (err) {
+      if (addOnlyIfCached && !isAlreadyExistsError(err) && isNotCachedError(err)) throw makeNotCachedError();
       if (!isAlreadyExistsError(err)) throw err;
     }
 
     const refresh = await getMyTorrents({ apiKey });
     const createdId = created ? getTorrentId(created) : '';
     torrent = (createdId && refresh.find((item) => getTorrentId(item) === createdId)) || findTorrent(refresh, hash);
+    // add_only_if_cached may also answer "success" without creating anything.
+    if (!torrent && addOnlyIfCached) throw makeNotCachedError();
+    if (created && torrent && onAdded) onAdded({ torrentId: getTorrentId(torrent) });
   }
 
   // Poll until torrent is downloadable or timeout. This avoids immediate 409 loops.
   while (Date.now() <= deadline) {
     if (torrent && isTorrentReady(torrent)) {
       const torrentId = getTorrentId(torrent);
-      const fileId = pickFileId(torrent, preferredFile, season, episode);
+      const fileId = pickFileId(torrent, preferredFile, season, episode, absoluteEpisode);
       if (torrentId && fileId != null) {
         return getDownloadLink({ apiKey, torrentId, fileId });
       }
     }
 
+    report('downloading', torrent);
     const remainingMs = deadline - Date.now();
     if (remainingMs <= 0) break;
     await sleep(Math.min(RESOLVE_POLL_MS, remainingMs));
@@ -492,7 +535,25 @@ async function resolveLink({
     }
   }
 
-  throw makeNotReadyError();
+  throw makeNotReadyError(torrent);
+}
+
+// Download link for a torrent that is already in the user's library, by
+// TorBox torrent ID (no find-or-create, no polling).
+async function resolveLibraryLink({ apiKey, torrentId, fileId = null }) {
+  const torrent = (await getMyTorrents({ apiKey })).find((item) => getTorrentId(item) === String(torrentId));
+  if (!torrent) {
+    const err = new Error('TorBox torrent not found in library');
+    err.code = 'TORBOX_NOT_FOUND';
+    throw err;
+  }
+  if (!isTorrentReady(torrent)) throw makeNotReadyError(torrent);
+
+  const pickedId = fileId != null && getVideoFiles(torrent).some((f) => f.id === String(fileId))
+    ? String(fileId)
+    : pickFileId(torrent, null, null, null);
+  if (pickedId == null) throw makeNotReadyError(torrent);
+  return getDownloadLink({ apiKey, torrentId: getTorrentId(torrent), fileId: pickedId });
 }
 
 module.exports = {
@@ -501,11 +562,15 @@ module.exports = {
   getDownloadLink,
   checkCached,
   resolveLink,
+  resolveLibraryLink,
   infoHashFromMagnet,
   findTorrent,
   getTorrentId,
+  getVideoFiles,
   getTorrentState,
   getTorrentProgress,
   isTorrentReady,
   isTorrentError,
+  pickFileId,
+  controlTorrent,
 };
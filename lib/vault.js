@@ -0,0 +1,123 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// File-backed credential vault. Entries hold an already encoded config token,
+// so with CONFIG_SECRETS set the credentials are encrypted at rest as well.
+const VAULT_FILE = String(process.env.CONFIG_VAULT_FILE || '').trim();
+const VAULT_ID_PREFIX = 'vt_';
+const VAULT_ID_PATTERN = /^vt_[A-Za-z0-9_-]{22}$/;
+
+let state = { entries: {} };
+let loadedMtimeMs = -1;
+
+function isVaultEnabled() {
+  return Boolean(VAULT_FILE);
+}
+
+function isVaultId(value) {
+  return VAULT_ID_PATTERN.test(String(value || ''));
+}
+
+function hashManageKey(manageKey) {
+  return crypto.createHash('sha256').update(String(manageKey || '')).digest('hex');
+}
+
+function manageKeyMatches(entry, manageKey) {
+  const expected = Buffer.from(String(entry?.manageKeyHash || ''), 'hex');
+  const actual = Buffer.from(hashManageKey(manageKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function load() {
+  let stat;
+  try {
+    stat = fs.statSync(VAULT_FILE);
+  } catch {
+    state = { entries: {} };
+    loadedMtimeMs = -1;
+    return state;
+  }
+
+  // Reload when another process (or a manual edit) changed the file.
+  if (stat.mtimeMs === loadedMtimeMs) return state;
+
+  const parsed = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'));
+  state = { entries: parsed?.entries && typeof parsed.entries === 'object' ? parsed.entries : {} };
+  loadedMtimeMs = stat.mtimeMs;
+  return state;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(VAULT_FILE), { recursive: true });
+  const tmpFile = `${VAULT_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state), { mode: 0o600 });
+  fs.renameSync(tmpFile, VAULT_FILE);
+  loadedMtimeMs = fs.statSync(VAULT_FILE).mtimeMs;
+}
+
+function requireVault() {
+  if (!isVaultEnabled()) throw new Error('credential vault is not enabled');
+}
+
+function createVaultEntry(token) {
+  requireVault();
+  load();
+
+  let id;
+  do {
+    id = `${VAULT_ID_PREFIX}${crypto.randomBytes(16).toString('base64url')}`;
+  } while (state.entries[id]);
+
+  const manageKey = crypto.randomBytes(24).toString('base64url');
+  const now = new Date().toISOString();
+  state.entries[id] = { token, manageKeyHash: hashManageKey(manageKey), createdAt: now, updatedAt: now };
+  save();
+  return { id, manageKey };
+}
+
+function replaceVaultEntry(id, manageKey, token) {
+  requireVault();
+  load();
+
+  const entry = state.entries[id];
+  if (!entry || !manageKeyMatches(entry, manageKey)) {
+    throw new Error('unknown vault id or manage key');
+  }
+
+  entry.token = token;
+  entry.updatedAt = new Date().toISOString();
+  save();
+  return { id };
+}
+
+function revokeVaultEntry(id, manageKey) {
+  requireVault();
+  load();
+
+  const entry = state.entries[id];
+  if (!entry || !manageKeyMatches(entry, manageKey)) {
+    throw new Error('unknown vault id or manage key');
+  }
+
+  delete state.entries[id];
+  save();
+  return { id };
+}
+
+function lookupVaultToken(id) {
+  if (!isVaultEnabled() || !isVaultId(id)) return null;
+  const entry = load().entries[id];
+  return entry?.token || null;
+}
+
+module.exports = {
+  isVaultEnabled,
+  isVaultId,
+  createVaultEntry,
+  replaceVaultEntry,
+  revokeVaultEntry,
+  lookupVaultToken,
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test, request } = require('./harness');
+const { createApp } = require('../api/app');
+
+const hash = (c) => c.repeat(40);
+const RESULTS = [
+  { id: '1', title: 'Movie.2020.2160p.WEB-DL-GRP', category: 'hd', seeders: 9, infoHash: hash('a') },
+  { id: '2', title: 'Movie.2020.1080p.WEB-DL-GRP', category: 'hd', seeders: 8, infoHash: hash('b') },
+  { id: '3', title: 'Movie.2020.720p.WEB-DL-GRP', category: 'hd', seeders: 7, infoHash: hash('c') },
+];
+
+// Cached, not cached, unknown (a TorBox check that timed out, or what
+// Real-Debrid always answers).
+const CACHE_STATES = new Map([[hash('a'), true], [hash('b'), false], [hash('c'), null]]);
+
+async function cachedOnlyTitles(deps, form) {
+  const app = createApp({ searchClient: async () => RESULTS, ...deps });
+  const token = JSON.parse((await request(app, 'POST', '/api/config-token', `username=user&password=pass&cachePolicy=cached-only&${form}`)).body).token;
+  const { streams } = JSON.parse((await request(app, 'GET', `/${token}/stream/movie/tt1234567.json`)).body);
+  return streams.map((stream) => stream.title.split('\n')[0]);
+}
+
+test('cached-only on TorBox lists only releases known to be cached', async () => {
+  const titles = await cachedOnlyTitles({
+    torboxCachedChecker: async () => CACHE_STATES,
+    torboxMyListFetcher: async () => [],
+  }, 'torboxApiKey=tb_cachepolicycache01');
+  assert.deepEqual(titles, ['Movie.2020.2160p.WEB-DL-GRP']);
+});
+
+test('cached-only on Real-Debrid keeps unknown releases, it has no cache check', async () => {
+  const titles = await cachedOnlyTitles({
+    providers: {
+      realdebrid: {
+        checkCached: async () => CACHE_STATES,
+        getMyTorrents: async () => [],
+      },
+    },
+  }, 'debridProvider=realdebrid&debridApiKey=RDKEYcachepolicycachepolicy01');
+  assert.deepEqual(titles.sort(), ['Movie.2020.2160p.WEB-DL-GRP', 'Movie.2020.720p.WEB-DL-GRP']);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('./harness');
+
+// CACHE_BACKEND and CACHE_DIR are read when the module loads.
+function loadCacheStore(env) {
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve('../lib/cache-store')];
+  return require('../lib/cache-store');
+}
+
+test('memory stores hand out copies', async () => {
+  const { createCacheStore } = loadCacheStore({ CACHE_BACKEND: 'memory' });
+  const store = createCacheStore('copies');
+  const value = { used: 0, rows: [{ id: '1' }] };
+  await store.set('k', value, 60000);
+  value.used = 5;
+
+  const first = await store.get('k');
+  first.rows.push({ id: '2' });
+  assert.deepEqual(await store.get('k'), { used: 0, rows: [{ id: '1' }] });
+});
+
+test('file stores keep entries another process wrote', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+  try {
+    const { createCacheStore } = loadCacheStore({ CACHE_BACKEND: 'file', CACHE_DIR: dir });
+    // Two stores on one namespace stand in for two processes.
+    const a = createCacheStore('shared');
+    const b = createCacheStore('shared');
+    assert.equal(await a.get('x'), null);
+    assert.equal(await b.get('x'), null);
+
+    await a.set('x', { from: 'a' }, 60000);
+    await b.set('y', { from: 'b' }, 60000);
+    await a.delete('missing');
+    assert.deepEqual(await a.get('y'), { from: 'b' });
+    assert.deepEqual(await b.get('x'), { from: 'a' });
+
+    const copy = await a.get('x');
+    copy.from = 'changed';
+    assert.deepEqual(await a.get('x'), { from: 'a' });
+
+    await b.delete('x');
+    assert.equal(await a.get('x'), null);
+    assert.deepEqual(await a.get('y'), { from: 'b' });
+    assert.equal(fs.statSync(path.join(dir, 'shared.json')).mode & 0o777, 0o600);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file stores write changes made in the same tick in one go', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+  const renameSync = fs.renameSync;
+  let writes = 0;
+  fs.renameSync = (...args) => {
+    writes += 1;
+    return renameSync(...args);
+  };
+  try {
+    const { createCacheStore } = loadCacheStore({ CACHE_BACKEND: 'file', CACHE_DIR: dir });
+    const store = createCacheStore('batched');
+    const setting = Promise.all([
+      store.set('a', 1, 60000),
+      store.set('b', 2, 60000),
+      store.delete('a'),
+    ]);
+    // Queued changes are visible before the flush.
+    assert.equal(await store.get('a'), null);
+    assert.equal(await store.get('b'), 2);
+    await setting;
+    assert.equal(writes, 1);
+
+    const onDisk = JSON.parse(fs.readFileSync(path.join(dir, 'batched.json'), 'utf8'));
+    assert.deepEqual(Object.keys(onDisk), ['b']);
+
+    await store.delete('missing');
+    assert.equal(writes, 1);
+  } finally {
+    fs.renameSync = renameSync;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('memory-only stores never touch the configured backend', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+  try {
+    const { createCacheStore } = loadCacheStore({ CACHE_BACKEND: 'file', CACHE_DIR: dir });
+    const store = createCacheStore('secret', { memoryOnly: true });
+    await store.set('k', 'passkey', 60000);
+    assert.equal(await store.get('k'), 'passkey');
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
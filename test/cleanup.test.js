@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { hasCleanupLimits, planCleanup } = require('../lib/cleanup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const hash = (c) => c.repeat(40);
+
+// Freeleech entries are H&R-safe, so only the limits decide.
+function entry(c, debridId, days, extra = {}) {
+  return { infoHash: hash(c), torrentId: `n${debridId}`, debridId, title: `T${c}`, freeleech: true, seed: true, addedAt: NOW - days * DAY_MS, ...extra };
+}
+
+function torrent(c, id, sizeGb, extra = {}) {
+  return { id, hash: hash(c), size: sizeGb * GB, download_state: 'completed', active: false, download_finished: true, ...extra };
+}
+
+const ids = (items) => items.map((item) => item.torrentId);
+
+test('limits of 0 switch the cleanup off', () => {
+  assert.equal(hasCleanupLimits({ cleanupAfterDays: 0, cleanupMaxSizeGb: 0 }), false);
+  assert.equal(hasCleanupLimits({ cleanupAfterDays: 7, cleanupMaxSizeGb: 0 }), true);
+  const plan = planCleanup([entry('a', '1', 30)], [torrent('a', 1, 1)], {}, NOW);
+  assert.deepEqual(plan.remove, []);
+});
+
+test('torrents past the age limit go', () => {
+  const entries = [entry('a', '1', 10), entry('b', '2', 2)];
+  const list = [torrent('a', 1, 1), torrent('b', 2, 1)];
+  const plan = planCleanup(entries, list, { cleanupAfterDays: 7 }, NOW);
+  assert.deepEqual(ids(plan.remove), ['1']);
+  assert.equal(plan.remove[0].reason, 'age');
+  assert.deepEqual(ids(plan.keep), ['2']);
+});
+
+test('the oldest torrents go until the size cap fits', () => {
+  const entries = [entry('a', '1', 3), entry('b', '2', 2), entry('c', '3', 1)];
+  const list = [torrent('a', 1, 4), torrent('b', 2, 4), torrent('c', 3, 4)];
+  const plan = planCleanup(entries, list, { cleanupMaxSizeGb: 5 }, NOW);
+  assert.deepEqual(ids(plan.remove), ['1', '2']);
+  assert.ok(plan.remove.every((item) => item.reason === 'size'));
+  assert.equal(plan.totalSize, 12 * GB);
+  assert.equal(plan.remainingSize, 4 * GB);
+});
+
+test('the played torrent and seeding torrents are kept', () => {
+  const entries = [
+    entry('a', '1', 10),
+    entry('b', '2', 10, { freeleech: false, addedAt: NOW - 2 * 60 * 60 * 1000 }),
+  ];
+  const list = [torrent('a', 1, 1), torrent('b', 2, 1, { download_state: 'seeding', active: true })];
+  const plan = planCleanup(entries, list, { cleanupMaxSizeGb: 0.5, keepHashes: [hash('a')] }, NOW);
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.keep.map((item) => item.reason).sort(), ['playing', 'seeding']);
+});
+
+test('removed entries and hand-added torrents with the same hash are left alone', () => {
+  const entries = [
+    entry('a', '1', 30, { removedAt: NOW - 20 * DAY_MS }),
+    entry('b', '2', 30),
+    entry('c', null, 30),
+  ];
+  // 999 and 998 were added by hand; the addon's own copy of b is gone.
+  const list = [torrent('a', 999, 1), torrent('b', 998, 1), torrent('c', 3, 1)];
+  const plan = planCleanup(entries, list, { cleanupAfterDays: 7 }, NOW);
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.keep, []);
+  assert.equal(plan.totalSize, 0);
+});
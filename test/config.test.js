@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test, withSecrets } = require('./harness');
+
+const SECRET_A = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const SECRET_B = 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const CREDS = { username: 'user', password: 'pass', torboxApiKey: 'tb_abcdefghijklmnop' };
+
+// Flips one character in the middle of the sealed part (the last base64url
+// character may only carry padding bits).
+function tamper(token) {
+  const at = token.length - 12;
+  return `${token.slice(0, at)}${token[at] === 'A' ? 'B' : 'A'}${token.slice(at + 1)}`;
+}
+
+test('without secrets tokens are plain v2 base64url', () => {
+  const [{ encodeConfig, decodeConfig }] = withSecrets('', ['config']);
+  const token = encodeConfig(CREDS);
+  const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  assert.equal(payload.v, 2);
+  assert.equal(payload.u, 'user');
+
+  const decoded = decodeConfig(token);
+  assert.equal(decoded.username, 'user');
+  assert.equal(decoded.password, 'pass');
+  assert.equal(decoded.debridProvider, 'torbox');
+  assert.equal(decoded.debridApiKey, 'tb_abcdefghijklmnop');
+});
+
+test('v1 tokens still decode, without an API key', () => {
+  const [{ decodeConfig }] = withSecrets('', ['config']);
+  const token = Buffer.from(JSON.stringify({ v: 1, u: 'user', p: 'pass' })).toString('base64url');
+  const decoded = decodeConfig(token);
+  assert.equal(decoded.username, 'user');
+  assert.equal(decoded.debridApiKey, '');
+});
+
+test('with secrets tokens are encrypted v3 tokens', () => {
+  const [{ encodeConfig, decodeConfig }] = withSecrets(SECRET_A, ['config']);
+  const token = encodeConfig(CREDS);
+  assert.match(token, /^v3\.[0-9a-f]{8}\.[A-Za-z0-9_-]+$/);
+  assert.ok(!Buffer.from(token.split('.')[2], 'base64url').toString('utf8').includes('pass'));
+  assert.notEqual(encodeConfig(CREDS), token, 'every token gets a fresh IV');
+
+  const decoded = decodeConfig(token);
+  assert.equal(decoded.password, 'pass');
+  assert.equal(decoded.debridApiKey, 'tb_abcdefghijklmnop');
+});
+
+test('tampered v3 tokens are rejected', () => {
+  const [{ encodeConfig, decodeConfig }] = withSecrets(SECRET_A, ['config']);
+  const token = encodeConfig(CREDS);
+  assert.throws(() => decodeConfig(tamper(token)), /invalid config token signature/);
+  assert.throws(() => decodeConfig(token.replace(/^v3\.[0-9a-f]{8}/, 'v3.00000000')), /unknown config token key/);
+});
+
+test('rotation: old secrets keep decoding, removed ones do not', () => {
+  const [{ encodeConfig }] = withSecrets(SECRET_A, ['config']);
+  const oldToken = encodeConfig(CREDS);
+  const oldKeyId = oldToken.split('.')[1];
+
+  const [rotated] = withSecrets(`${SECRET_B},${SECRET_A}`, ['config']);
+  assert.equal(rotated.decodeConfig(oldToken).username, 'user');
+  const newToken = rotated.encodeConfig(CREDS);
+  assert.notEqual(newToken.split('.')[1], oldKeyId, 'the first secret encrypts');
+
+  const [dropped] = withSecrets(SECRET_B, ['config']);
+  assert.equal(dropped.decodeConfig(newToken).username, 'user');
+  assert.throws(() => dropped.decodeConfig(oldToken), /unknown config token key/);
+});
+
+test('plain tokens keep working after secrets are configured', () => {
+  const [{ encodeConfig }] = withSecrets('', ['config']);
+  const plain = encodeConfig(CREDS);
+  const [{ decodeConfig }] = withSecrets(SECRET_A, ['config']);
+  assert.equal(decodeConfig(plain).username, 'user');
+});
+
+test('invalid input is rejected', () => {
+  const [{ encodeConfig, decodeConfig }] = withSecrets('', ['config']);
+  assert.throws(() => encodeConfig({ username: 'user', password: 'pass' }), /required/);
+  assert.throws(() => encodeConfig({ ...CREDS, torboxApiKey: 'not a key' }), /invalid debridApiKey format/);
+  assert.throws(() => encodeConfig({ ...CREDS, debridProvider: 'nope' }), /unknown debridProvider/);
+  assert.throws(() => decodeConfig(''), /missing config token/);
+  assert.throws(() => decodeConfig(Buffer.from('{"v":2,"u":"x"}').toString('base64url')), /invalid config token payload/);
+});
+
+test('a missing CONFIG_SECRETS is warned about once', () => {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    const [{ warnIfPlainTokens }] = withSecrets('', ['config']);
+    warnIfPlainTokens();
+    warnIfPlainTokens();
+    const [{ warnIfPlainTokens: withKey }] = withSecrets(SECRET_A, ['config']);
+    withKey();
+  } finally {
+    process.stderr.write = write;
+  }
+  assert.equal(lines.length, 1);
+  const entry = JSON.parse(lines[0]);
+  assert.equal(entry.level, 'warn');
+  assert.match(entry.message, /CONFIG_SECRETS is not set/);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { LOW_CONFIDENCE, parseEpisodeName, findEpisodeFile } = require('../lib/episodes');
+
+const names = (list) => list.map((name, i) => ({ name, size: 1000 + i }));
+
+test('parses SxE, NxNN, ranges and bare numbers', () => {
+  assert.deepEqual(parseEpisodeName('Show.S02E05.1080p.mkv'), { season: 2, range: { from: 5, to: 5 } });
+  assert.deepEqual(parseEpisodeName('Show 3x07.mkv'), { season: 3, range: { from: 7, to: 7 } });
+  assert.deepEqual(parseEpisodeName('Show.S01E01-E02.mkv'), { season: 1, range: { from: 1, to: 2 } });
+  assert.deepEqual(parseEpisodeName('[Group] Anime - 1034 [1080p].mkv').number, { from: 1034, to: 1034 });
+  assert.equal(parseEpisodeName('Movie.2020.1080p.mkv'), null);
+});
+
+test('an exact SxE match wins and samples are skipped', () => {
+  const files = names([
+    'Show.S01E01.mkv',
+    'Show.S01E02.mkv',
+    'Sample/Show.S01E02.sample.mkv',
+    'Show.S02E02.mkv',
+  ]);
+  const hit = findEpisodeFile(files, { season: 1, episode: 2 });
+  assert.equal(hit.file.name, 'Show.S01E02.mkv');
+  assert.equal(hit.confidence, 1);
+});
+
+test('ranged files match with lower confidence than single episodes', () => {
+  const ranged = findEpisodeFile(names(['Show.S01E01-E02.mkv', 'Show.S01E03.mkv']), { season: 1, episode: 2 });
+  assert.equal(ranged.file.name, 'Show.S01E01-E02.mkv');
+  assert.equal(ranged.confidence, 0.9);
+
+  const single = findEpisodeFile(names(['Show.S01E01-E02.mkv', 'Show.S01E02.mkv']), { season: 1, episode: 2 });
+  assert.equal(single.file.name, 'Show.S01E02.mkv');
+});
+
+test('absolute numbering matches the Kitsu episode', () => {
+  const files = names([
+    '[Group] Anime - 1033 [1080p].mkv',
+    '[Group] Anime - 1034 [1080p].mkv',
+  ]);
+  const hit = findEpisodeFile(files, { season: 21, episode: 142, absoluteEpisode: 1034 });
+  assert.equal(hit.file.name, '[Group] Anime - 1034 [1080p].mkv');
+  assert.equal(hit.confidence, 0.8);
+  assert.ok(hit.confidence >= LOW_CONFIDENCE);
+});
+
+test('season directories decide between bare episode numbers', () => {
+  const files = names([
+    'Show/Season 1/05 - Pilot.mkv',
+    'Show/Season 2/05 - Return.mkv',
+    'Show/2. évad/06 - Next.mkv',
+  ]);
+  const hit = findEpisodeFile(files, { season: 2, episode: 5 });
+  assert.equal(hit.file.name, 'Show/Season 2/05 - Return.mkv');
+  assert.equal(hit.confidence, 0.85);
+  assert.equal(findEpisodeFile(files, { season: 2, episode: 6 }).file.name, 'Show/2. évad/06 - Next.mkv');
+  assert.equal(findEpisodeFile(files, { season: 3, episode: 5 }), null);
+});
+
+test('the release title gives the season of a season pack', () => {
+  const files = names(['E01.mkv', 'E02.mkv', 'E03.mkv']);
+  const hit = findEpisodeFile(files, { season: 3, episode: 2 }, { releaseTitle: 'Show.S03.1080p.WEB-DL-GRP' });
+  assert.equal(hit.file.name, 'E02.mkv');
+  assert.equal(hit.confidence, 0.75);
+  assert.equal(findEpisodeFile(files, { season: 2, episode: 2 }, { releaseTitle: 'Show.S03.1080p.WEB-DL-GRP' }), null);
+});
+
+test('without any season marker only season 1 is a confident guess', () => {
+  const files = names(['01 - One.mkv', '02 - Two.mkv']);
+  assert.equal(findEpisodeFile(files, { season: 1, episode: 2 }).confidence, 0.6);
+  const later = findEpisodeFile(files, { season: 2, episode: 2 });
+  assert.equal(later.file.name, '02 - Two.mkv');
+  assert.ok(later.confidence < LOW_CONFIDENCE);
+});
+
+test('unnumbered files fall back to their order', () => {
+  const files = names([
+    'Disc 1/Title 10 Extended.mkv',
+    'Disc 1/Title 2 Extended.mkv',
+    'Disc 1/Title 1 Extended.mkv',
+  ]);
+  const hit = findEpisodeFile(files, { season: 1, episode: 2 });
+  assert.equal(hit.file.name, 'Disc 1/Title 2 Extended.mkv');
+  assert.equal(hit.confidence, 0.35);
+  assert.equal(findEpisodeFile(files, { season: 1, episode: 4 }), null);
+});
+
+test('no matching file -> null', () => {
+  assert.equal(findEpisodeFile(names(['Show.S01E01.mkv']), { season: 1, episode: 5 }), null);
+  assert.equal(findEpisodeFile([], { season: 1, episode: 1 }), null);
+});
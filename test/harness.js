@@ -0,0 +1,74 @@
+'use strict';
+
+const http = require('node:http');
+
+// Minimal runner for the plain-node test files (engines allow Node 14, so no
+// node:test). Tests run one after the other; a failure sets the exit code.
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+setImmediate(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (err) {
+      failed += 1;
+      console.log(`not ok - ${name}`);
+      console.log(err && err.stack ? err.stack : err);
+    }
+  }
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  if (failed) process.exitCode = 1;
+});
+
+// Fresh copies of modules that read CONFIG_SECRETS when they load.
+function withSecrets(secrets, modules) {
+  if (secrets) process.env.CONFIG_SECRETS = secrets;
+  else delete process.env.CONFIG_SECRETS;
+  delete process.env.CONFIG_SECRET;
+  for (const name of ['secrets', 'config', 'selection-key']) {
+    delete require.cache[require.resolve(`../lib/${name}`)];
+  }
+  return modules.map((name) => require(`../lib/${name}`));
+}
+
+// One request against an app handler on a throwaway server.
+// -> { status, headers, body }
+function request(app, method, path, body = '') {
+  const server = http.createServer(app);
+  return new Promise((resolve, reject) => {
+    server.listen(0, '127.0.0.1', () => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method,
+        path,
+        headers: body ? { 'content-type': 'application/x-www-form-urlencoded' } : {},
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          server.close();
+          resolve({ status: res.statusCode, headers: res.headers, body: data });
+        });
+      });
+      req.on('error', (err) => {
+        server.close();
+        reject(err);
+      });
+      req.end(body);
+    });
+  });
+}
+
+module.exports = {
+  test,
+  withSecrets,
+  request,
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test, request } = require('./harness');
+const { createApp } = require('../api/app');
+
+// The Kitsu mapping and the nCore search are injected, so nothing here
+// touches the network.
+const TORBOX = {
+  torboxCachedChecker: async () => new Map(),
+  torboxMyListFetcher: async () => [],
+};
+
+async function configToken(app) {
+  const res = await request(app, 'POST', '/api/config-token', 'username=user&password=pass&torboxApiKey=tb_abcdefghijklmnop');
+  return JSON.parse(res.body).token;
+}
+
+test('kitsu ids are searched through the injected mapping', async () => {
+  const mappedIds = [];
+  const searches = [];
+  const app = createApp({
+    ...TORBOX,
+    kitsuResolver: async (kitsuId) => {
+      mappedIds.push(kitsuId);
+      return { imdbId: 'tt0388629', season: 21, episode: 142, absoluteEpisode: 1034, title: 'One Piece' };
+    },
+    searchClient: async (params) => {
+      searches.push(params);
+      return [];
+    },
+  });
+  const token = await configToken(app);
+  const res = await request(app, 'GET', `/${token}/stream/series/kitsu:12:1034.json`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(mappedIds, [{ kitsuId: '12', episode: 1034 }]);
+  assert.equal(searches.length, 1);
+  assert.equal(searches[0].query, 'tt0388629:21:142');
+  assert.equal(searches[0].title, 'One Piece');
+  assert.equal(searches[0].absoluteEpisode, 1034);
+});
+
+test('a failing kitsu mapping returns no streams instead of an error', async () => {
+  let searched = false;
+  const app = createApp({
+    ...TORBOX,
+    kitsuResolver: async () => { throw new Error('Kitsu meta failed with status 503'); },
+    searchClient: async () => { searched = true; return []; },
+  });
+  const token = await configToken(app);
+  const res = await request(app, 'GET', `/${token}/stream/series/kitsu:13:1.json`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(JSON.parse(res.body), { streams: [] });
+  assert.equal(searched, false);
+});
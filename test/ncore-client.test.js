@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { parseDetailsPage, parseTorrentListHtml } = require('../lib/ncore-client');
+
+// Trimmed copy of torrents.php?action=details markup.
+const DETAILS_HTML = `
+<div class="torrent_reszletek_cim">Some.Show.S01.1080p.WEB-DL.HUN  &amp; ENG</div>
+<div class="torrent_reszletek">
+  <a href="torrents.php?tipus=hdser_hun">HD sorozat</a>
+  <a href="https://www.imdb.com/title/tt0903747/" target="_blank">IMDb</a>
+  <a href="torrents.php?action=download&amp;id=123&amp;key=abcdef" title="Torrent letöltése">Letöltés</a>
+  <a href="torrents.php?action=download&amp;id=999&amp;key=other">Másik</a>
+</div>`;
+
+test('details pages give the title, category, IMDb ID and own download link', () => {
+  assert.deepEqual(parseDetailsPage(DETAILS_HTML, 'ncore:123'), {
+    id: '123',
+    title: 'Some.Show.S01.1080p.WEB-DL.HUN & ENG',
+    downloadUrl: 'https://ncore.pro/torrents.php?action=download&id=123&key=abcdef',
+    magnet: '',
+    seeders: 0,
+    sizeBytes: 0,
+    category: 'hdser_hun',
+    imdbRating: '',
+    freeleech: false,
+    imdbId: 'tt0903747',
+    uploadedAt: 0,
+  });
+});
+
+test('details pages without the expected markup give an empty row', () => {
+  const row = parseDetailsPage('<html><body>Nincs ilyen torrent.</body></html>', '456');
+  assert.equal(row.id, '456');
+  assert.equal(row.title, '');
+  assert.equal(row.downloadUrl, '');
+  assert.equal(row.category, '');
+  assert.equal(row.imdbId, '');
+  // A download link of another torrent is never taken.
+  assert.equal(parseDetailsPage(DETAILS_HTML, '12').downloadUrl, '');
+});
+
+// Trimmed copy of the bookmarks.php listing: two torrents, one block without
+// a details link.
+const LIST_HTML = `
+<div class="lista_all">
+<div class="box_torrent">
+  <div class="box_alap_img"><a href="torrents.php?tipus=hdser_hun"><img alt="HD sorozat"></a></div>
+  <div class="torrent_txt"><a href="torrents.php?action=details&amp;id=111" onclick="torrent(111); return false;" title="Show.S02.1080p &amp; Extras"><nobr>Show.S02.1080p...</nobr></a></div>
+  <a href="https://www.imdb.com/title/tt1234567/">IMDb</a>
+  <div class="box_meret2">12,5 GiB</div>
+  <div class="box_s2"><a class="torrent" href="torrents.php?action=details&amp;id=111&amp;peers=1#peers">42</a></div>
+</div>
+<div class="box_torrent">
+  <div class="box_alap_img"><a href="torrents.php?tipus=xvid"><img alt="Film"></a></div>
+  <div class="torrent_txt"><a href="torrents.php?action=details&id=222" title="Old.Movie.1999.DVDRip"><nobr>Old.Movie</nobr></a></div>
+  <div class="box_meret2">700 MiB</div>
+  <div class="box_s2">3</div>
+</div>
+<div class="box_torrent"><div class="torrent_txt">Törölt torrent</div></div>
+</div>`;
+
+test('torrent listings give one row per box_torrent block', () => {
+  const rows = parseTorrentListHtml(LIST_HTML);
+  assert.deepEqual(rows.map((row) => row.id), ['111', '222']);
+  assert.deepEqual(rows[0], {
+    id: '111',
+    title: 'Show.S02.1080p & Extras',
+    downloadUrl: '',
+    magnet: '',
+    seeders: 42,
+    sizeBytes: Math.round(12.5 * 1024 ** 3),
+    category: 'hdser_hun',
+    imdbRating: '',
+    freeleech: false,
+    imdbId: 'tt1234567',
+    uploadedAt: 0,
+  });
+  assert.equal(rows[1].title, 'Old.Movie.1999.DVDRip');
+  assert.equal(rows[1].seeders, 3);
+  assert.equal(rows[1].sizeBytes, 700 * 1024 ** 2);
+  assert.equal(rows[1].category, 'xvid');
+  assert.equal(rows[1].imdbId, '');
+});
+
+test('an empty listing page gives no rows', () => {
+  assert.deepEqual(parseTorrentListHtml('<div class="lista_all"><div class="lista_mini_error">Nincs találat!</div></div>'), []);
+  assert.deepEqual(parseTorrentListHtml(''), []);
+});
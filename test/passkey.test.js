@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { hasPasskey, redactPasskeys, isPasskeyTracker, extractPasskey, fillPasskey, withoutMemberKeys } = require('../lib/passkey');
+const { logError } = require('../lib/logger');
+const { findCatalog, createCatalogState, fillCatalogState } = require('../lib/catalogs');
+
+const PASSKEY = '0123456789abcdef0123456789abcdef';
+const TRACKER = `https://t.ncore.sh:2810/${PASSKEY}/announce`;
+const DOWNLOAD = 'https://ncore.pro/torrents.php?action=download&id=123&key=5f3e9a0c1b2d4e6f';
+
+test('tracker passkeys are masked, plain and URL-encoded', () => {
+  assert.equal(redactPasskeys(TRACKER), 'https://t.ncore.sh:2810/<passkey>/announce');
+  assert.equal(
+    redactPasskeys(`magnet:?xt=urn:btih:${'a'.repeat(40)}&tr=${encodeURIComponent(TRACKER)}`),
+    `magnet:?xt=urn:btih:${'a'.repeat(40)}&tr=https%3A%2F%2Ft.ncore.sh%3A2810%2F<passkey>%2Fannounce`,
+  );
+  assert.equal(redactPasskeys('http://tracker/announce.php?passkey=secret&x=1'), 'http://tracker/announce.php?passkey=<passkey>&x=1');
+});
+
+test('download keys are masked', () => {
+  assert.equal(redactPasskeys(DOWNLOAD), 'https://ncore.pro/torrents.php?action=download&id=123&key=<passkey>');
+  assert.equal(
+    redactPasskeys('<a href="torrents.php?action=download&amp;id=123&amp;key=5f3e9a0c">'),
+    '<a href="torrents.php?action=download&amp;id=123&amp;key=<passkey>">',
+  );
+  assert.ok(hasPasskey(DOWNLOAD));
+  assert.equal(redactPasskeys('https://example.com/?monkey=1&keys=2'), 'https://example.com/?monkey=1&keys=2');
+});
+
+test('download links are not passkey trackers and get no passkey filled in', () => {
+  assert.equal(isPasskeyTracker(DOWNLOAD), false);
+  assert.equal(fillPasskey(DOWNLOAD, PASSKEY), DOWNLOAD);
+  assert.ok(isPasskeyTracker(TRACKER));
+  assert.ok(isPasskeyTracker(redactPasskeys(TRACKER)));
+  assert.equal(fillPasskey(redactPasskeys(TRACKER), PASSKEY), TRACKER);
+  assert.equal(extractPasskey(TRACKER), PASSKEY);
+  assert.equal(extractPasskey(DOWNLOAD), '');
+});
+
+test('shared rows drop the download link and the sources', () => {
+  const row = { id: '123', title: 'Movie', downloadUrl: DOWNLOAD, sources: [`tracker:${TRACKER}`], seeders: 5 };
+  assert.deepEqual(withoutMemberKeys(row), { id: '123', title: 'Movie', seeders: 5 });
+  assert.equal(row.downloadUrl, DOWNLOAD, 'the row itself is left alone');
+});
+
+test('cached catalog state keeps no download links', async () => {
+  const catalog = findCatalog('movie', 'ncore-movies-top-week');
+  const state = createCatalogState();
+  await fillCatalogState(state, {
+    catalog,
+    categories: catalog.categories,
+    wanted: 10,
+    browse: async () => ({
+      rows: [{ id: '123', title: 'Movie.2020.1080p', imdbId: 'tt1234567', seeders: 5, uploadedAt: Date.now(), downloadUrl: DOWNLOAD }],
+      lastPage: 1,
+    }),
+  });
+  assert.equal(state.rows.length, 1);
+  assert.ok(!JSON.stringify(state).includes('key='));
+});
+
+test('log lines carry neither passkeys nor download keys', () => {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => { lines.push(String(chunk)); return true; };
+  try {
+    logError('download failed', { url: DOWNLOAD, error: `announce ${TRACKER} refused` });
+  } finally {
+    process.stderr.write = write;
+  }
+  assert.equal(lines.length, 1);
+  assert.ok(!lines[0].includes(PASSKEY));
+  assert.ok(!lines[0].includes('5f3e9a0c1b2d4e6f'));
+  assert.match(lines[0], /key=<passkey>/);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { placeholderSegment, placeholderPlaylist, clampProgress } = require('../lib/placeholder-video');
+
+const PMT_PID = 0x1000;
+const VIDEO_PID = 0x100;
+
+function packetsOf(segment) {
+  const packets = [];
+  for (let offset = 0; offset < segment.length; offset += 188) packets.push(segment.subarray(offset, offset + 188));
+  return packets;
+}
+
+const pidOf = (packet) => ((packet[1] & 0x1f) << 8) | packet[2];
+const startsUnit = (packet) => Boolean(packet[1] & 0x40);
+
+function payloadOf(packet) {
+  const adaptation = (packet[3] >> 4) & 0x3;
+  const start = adaptation & 0x2 ? 5 + packet[4] : 4;
+  return adaptation & 0x1 ? packet.subarray(start) : Buffer.alloc(0);
+}
+
+// NAL unit types of an Annex B byte stream (00 00 01 start codes).
+function nalTypes(stream) {
+  const types = [];
+  for (let i = 0; i + 3 < stream.length; i += 1) {
+    if (stream[i] === 0 && stream[i + 1] === 0 && stream[i + 2] === 1) types.push(stream[i + 3] & 0x1f);
+  }
+  return types;
+}
+
+for (const name of ['not-cached', 'downloading-0', 'downloading-42', 'downloading-100']) {
+  test(`${name} is a well-formed MPEG-TS segment`, () => {
+    const segment = placeholderSegment(name);
+    assert.ok(Buffer.isBuffer(segment));
+    assert.equal(segment.length % 188, 0);
+
+    const packets = packetsOf(segment);
+    assert.ok(packets.every((packet) => packet[0] === 0x47), 'every packet starts with the sync byte');
+
+    // PAT (table 0) points at the PMT, which lists one H.264 stream (0x1b).
+    const [pat, pmt] = packets;
+    assert.equal(pidOf(pat), 0);
+    assert.equal(payloadOf(pat)[1], 0x00);
+    assert.equal(((payloadOf(pat)[11] & 0x1f) << 8) | payloadOf(pat)[12], PMT_PID);
+    assert.equal(pidOf(pmt), PMT_PID);
+    assert.equal(payloadOf(pmt)[1], 0x02);
+    assert.equal(payloadOf(pmt)[13], 0x1b);
+
+    // First PES: from the first video unit start up to the next one.
+    const video = packets.filter((packet) => pidOf(packet) === VIDEO_PID);
+    assert.ok(startsUnit(video[0]));
+    const nextStart = video.findIndex((packet, index) => index > 0 && startsUnit(packet));
+    const pes = Buffer.concat(video.slice(0, nextStart).map(payloadOf));
+    assert.deepEqual([...pes.subarray(0, 4)], [0x00, 0x00, 0x01, 0xe0]);
+    const types = nalTypes(pes.subarray(9 + pes[8]));
+    assert.deepEqual(types.slice(0, 4), [9, 7, 8, 5], 'AUD, SPS, PPS, then the IDR slice');
+
+    // Continuity counters of the video PID run without gaps.
+    video.forEach((packet, index) => assert.equal(packet[3] & 0x0f, index & 0x0f));
+  });
+}
+
+test('unknown placeholder names return null', () => {
+  assert.equal(placeholderSegment('unknown'), null);
+  assert.equal(placeholderSegment('downloading-'), null);
+  assert.equal(placeholderSegment('downloading-1000'), null);
+  assert.equal(placeholderSegment(''), null);
+});
+
+test('segments are rendered once', () => {
+  assert.equal(placeholderSegment('downloading-7'), placeholderSegment('downloading-7'));
+});
+
+test('progress is clamped to 0-100', () => {
+  assert.equal(clampProgress(-5), 0);
+  assert.equal(clampProgress(42.4), 42);
+  assert.equal(clampProgress(250), 100);
+  assert.equal(clampProgress('x'), 0);
+});
+
+test('the playlist is a single-segment VOD', () => {
+  const playlist = placeholderPlaylist('/seg.ts');
+  assert.match(playlist, /^#EXTM3U\n/);
+  assert.match(playlist, /#EXT-X-PLAYLIST-TYPE:VOD/);
+  assert.match(playlist, /\n\/seg\.ts\n#EXT-X-ENDLIST\n$/);
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test, request } = require('./harness');
+const { createApp } = require('../api/app');
+
+const IMDB = 'tt0903747';
+const hash = (c) => c.repeat(40);
+
+function release(id, title, c) {
+  return {
+    id,
+    title,
+    category: 'hdser',
+    seeders: 5,
+    infoHash: hash(c),
+    magnet: `magnet:?xt=urn:btih:${hash(c)}`,
+    downloadUrl: `https://ncore.pro/torrents.php?action=download&id=${id}&key=k`,
+  };
+}
+
+// A TorBox account and nCore search behind the injected clients; prefetch runs
+// in the background after the resolve redirect, hence the short waits.
+function setup(rows) {
+  const calls = { adds: [], torrentFiles: [] };
+  const account = { list: [], failAdds: 0 };
+  const byId = new Map(Object.values(rows).flat().map((row) => [row.id, row]));
+  const app = createApp({
+    searchClient: async ({ query }) => rows[query] || [],
+    releaseClient: async ({ torrentId }) => byId.get(torrentId),
+    torrentFileClient: async ({ downloadUrl }) => {
+      calls.torrentFiles.push(downloadUrl);
+      return Buffer.from('torrent');
+    },
+    torboxResolver: async () => 'https://cdn/x.mkv',
+    torboxCachedChecker: async () => new Map(),
+    torboxMyListFetcher: async () => account.list,
+    torboxAdder: async ({ magnet, file }) => {
+      if (account.failAdds > 0) {
+        account.failAdds -= 1;
+        throw new Error('TorBox add failed');
+      }
+      calls.adds.push(file ? 'file' : magnet.slice(20, 60));
+      account.list = [...account.list, { id: account.list.length + 1, hash: hash('c'), download_state: 'downloading', active: true }];
+      return {};
+    },
+  });
+  return { app, calls, account };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+// Every test uses its own account: the debrid list cache is shared. Plain
+// tokens are the same for the same form, so the plays of one test share the
+// prefetch state; `pick` selects another release, a replay would hit the
+// resolve cache.
+async function playEpisode(app, apiKey, extra, pick = 0) {
+  const form = `username=user&password=pass&torboxApiKey=${apiKey}&bingePrefetch=true${extra}`;
+  const token = JSON.parse((await request(app, 'POST', '/api/config-token', form)).body).token;
+  const streams = JSON.parse((await request(app, 'GET', `/${token}/stream/series/${IMDB}:1:2.json`)).body).streams;
+  const res = await request(app, 'GET', new URL(streams[pick].url).pathname);
+  assert.equal(res.status, 302);
+  await settle();
+}
+
+const ROWS = {
+  [`${IMDB}:1:2`]: [
+    release('1', 'Show.S01E02.1080p.WEB-DL-GRP', 'a'),
+    release('3', 'Show.S01E02.720p.WEB-DL-GRP', 'b'),
+    release('4', 'Show.S01E02.2160p.WEB-DL-GRP', 'd'),
+  ],
+  [`${IMDB}:1:3`]: [release('2', 'Show.S01E03.1080p.WEB-DL-GRP', 'c')],
+};
+
+test('a failed prefetch runs again on the next resolve, a successful one does not', async () => {
+  const { app, calls, account } = setup(ROWS);
+  account.failAdds = 1;
+  await playEpisode(app, 'tb_retryretryretry01', '&torrentUpload=magnet');
+  assert.deepEqual(calls.adds, []);
+
+  await playEpisode(app, 'tb_retryretryretry01', '&torrentUpload=magnet', 1);
+  assert.deepEqual(calls.adds, [hash('c')]);
+
+  // Even with the next episode gone from the account it is done now.
+  account.list = [];
+  await playEpisode(app, 'tb_retryretryretry01', '&torrentUpload=magnet', 2);
+  assert.deepEqual(calls.adds, [hash('c')]);
+});
+
+test('the active-download cap skips the prefetch', async () => {
+  const { app, calls, account } = setup(ROWS);
+  account.list = [
+    { id: 100, hash: hash('e'), download_state: 'downloading', active: true },
+    { id: 101, hash: hash('f'), download_state: 'downloading', active: true },
+  ];
+  await playEpisode(app, 'tb_cappedcappedcap01', '&torrentUpload=magnet');
+  assert.deepEqual(calls.adds, []);
+});
+
+test('in file mode the .torrent comes from the injected client', async () => {
+  const { app, calls } = setup(ROWS);
+  await playEpisode(app, 'tb_uploaduploadupl01', '&torrentUpload=file');
+  assert.deepEqual(calls.adds, ['file']);
+  // The played episode's link comes from the release, the next one's from the search.
+  assert.deepEqual(calls.torrentFiles, [ROWS[`${IMDB}:1:2`][0].downloadUrl, ROWS[`${IMDB}:1:3`][0].downloadUrl]);
+});
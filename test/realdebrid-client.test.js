@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+
+// The client is loaded with a scripted fetch; a short cached wait keeps the
+// refusal test fast.
+process.env.REALDEBRID_CACHED_WAIT_MS = '1500';
+const requests = [];
+let respond = () => ({ status: 404, body: { error: 'unknown' } });
+const fetchPath = require.resolve('../lib/fetch');
+require.cache[fetchPath] = {
+  id: fetchPath,
+  filename: fetchPath,
+  loaded: true,
+  exports: {
+    fetch: async (url, options = {}) => {
+      const path = String(url).replace('https://api.real-debrid.com/rest/1.0', '');
+      const method = options.method || 'GET';
+      requests.push(`${method} ${path}`);
+      const { status = 200, body = null } = respond(method, path, options) || {};
+      return {
+        ok: status < 300,
+        status,
+        headers: new Map(),
+        text: async () => (body == null ? '' : JSON.stringify(body)),
+      };
+    },
+  },
+};
+const realdebrid = require('../lib/realdebrid-client');
+
+const HASH = 'a'.repeat(40);
+const API_KEY = 'RDKEYabcdefghijklmnopqrstuvwxyz';
+
+function rdTorrent(status, extra = {}) {
+  return {
+    id: 'RD1',
+    hash: HASH.toUpperCase(),
+    filename: 'Show.S01.1080p',
+    bytes: 3000,
+    status,
+    progress: status === 'downloaded' ? 100 : 0,
+    added: '2026-10-19T10:00:00Z',
+    files: [
+      { id: 1, path: '/Show.S01.1080p/Show.S01E01.mkv', bytes: 1000, selected: 1 },
+      { id: 2, path: '/Show.S01.1080p/info.nfo', bytes: 10, selected: 0 },
+      { id: 3, path: '/Show.S01.1080p/Show.S01E02.mkv', bytes: 1000, selected: 1 },
+    ],
+    links: status === 'downloaded' ? ['https://real-debrid.com/d/E01', 'https://real-debrid.com/d/E02'] : [],
+    ...extra,
+  };
+}
+
+test('toLibraryTorrent maps to the TorBox shape with only selected files', () => {
+  const torrent = realdebrid.toLibraryTorrent(rdTorrent('downloaded'));
+  assert.equal(torrent.id, 'RD1');
+  assert.equal(torrent.hash, HASH);
+  assert.equal(torrent.name, 'Show.S01.1080p');
+  assert.equal(torrent.download_present, true);
+  assert.equal(torrent.active, true);
+  assert.deepEqual(torrent.files.map((file) => file.id), [1, 3]);
+  assert.equal(torrent.files[0].name, 'Show.S01.1080p/Show.S01E01.mkv');
+
+  const failed = realdebrid.toLibraryTorrent(rdTorrent('magnet_error'));
+  assert.equal(failed.download_state, 'error');
+  assert.equal(failed.active, false);
+  assert.equal(failed.download_present, false);
+});
+
+test('linkForFile unrestricts the link at the file position among selected files', async () => {
+  requests.length = 0;
+  respond = (method, path, options) => (path === '/unrestrict/link'
+    ? { body: { download: `https://cdn/${new URLSearchParams(options.body).get('link').split('/').pop()}` } }
+    : null);
+  const torrent = realdebrid.toLibraryTorrent(rdTorrent('downloaded'));
+  assert.equal(await realdebrid.linkForFile({ apiKey: API_KEY, torrent, fileId: 3 }), 'https://cdn/E02');
+  assert.equal(await realdebrid.linkForFile({ apiKey: API_KEY, torrent, fileId: 1 }), 'https://cdn/E01');
+  // Unknown IDs fall back to the first link.
+  assert.equal(await realdebrid.linkForFile({ apiKey: API_KEY, torrent, fileId: 99 }), 'https://cdn/E01');
+
+  const pending = realdebrid.toLibraryTorrent(rdTorrent('downloading'));
+  await assert.rejects(realdebrid.linkForFile({ apiKey: API_KEY, torrent: pending, fileId: 1 }), (err) => err.code === 'TORBOX_NOT_READY');
+});
+
+// addMagnet -> info (waiting for files) -> selectFiles -> info polls.
+function scriptAdd(statuses) {
+  const script = statuses.slice();
+  let status = 'waiting_files_selection';
+  respond = (method, path) => {
+    if (path === '/torrents/addMagnet') return { status: 201, body: { id: 'RD1' } };
+    if (path.startsWith('/torrents/selectFiles/')) {
+      status = script.shift() || status;
+      return { status: 204 };
+    }
+    if (path.startsWith('/torrents/info/')) {
+      const body = rdTorrent(status);
+      if (status !== 'waiting_files_selection' && script.length) status = script.shift();
+      return { body };
+    }
+    if (path.startsWith('/torrents/delete/')) return { status: 204 };
+    return null;
+  };
+}
+
+test('cached-only waits for a cached torrent to switch to downloaded', async () => {
+  requests.length = 0;
+  scriptAdd(['queued', 'downloaded']);
+  const created = await realdebrid.addTorrent({ apiKey: API_KEY, magnet: `magnet:?xt=urn:btih:${HASH}`, addOnlyIfCached: true });
+  assert.deepEqual(created, { id: 'RD1' });
+  assert.ok(!requests.some((line) => line.startsWith('DELETE')));
+});
+
+test('cached-only refuses and deletes a torrent that does not download in time', async () => {
+  requests.length = 0;
+  scriptAdd(['downloading']);
+  const started = Date.now();
+  await assert.rejects(
+    realdebrid.addTorrent({ apiKey: API_KEY, magnet: `magnet:?xt=urn:btih:${HASH}`, addOnlyIfCached: true }),
+    (err) => err.code === 'TORBOX_NOT_CACHED',
+  );
+  assert.ok(Date.now() - started >= 1000, 'it polls before giving up');
+  assert.equal(requests[requests.length - 1], 'DELETE /torrents/delete/RD1');
+});
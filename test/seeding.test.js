@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test } = require('./harness');
+const { HNR_SEED_HOURS, shouldSeed, addLedgerEntry, hnrStatus, buildHnrReport } = require('../lib/seeding');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const hash = (c) => c.repeat(40);
+
+function entry(c, extra = {}) {
+  return { infoHash: hash(c), torrentId: `nc-${c}`, title: `Release ${c}`, freeleech: false, seed: true, addedAt: NOW - HOUR_MS, ...extra };
+}
+
+function torrent(c, extra = {}) {
+  return { id: `tb-${c}`, hash: hash(c), active: true, download_state: 'uploading', ratio: 0.2, ...extra };
+}
+
+test('seeding policies', () => {
+  assert.equal(shouldSeed('always', false), true);
+  assert.equal(shouldSeed('always', true), true);
+  assert.equal(shouldSeed('non-freeleech', false), true);
+  assert.equal(shouldSeed('non-freeleech', true), false);
+  assert.equal(shouldSeed('never', false), false);
+  // Unknown values fall back to seeding, the safe side for H&R.
+  assert.equal(shouldSeed(undefined, false), true);
+});
+
+test('ledger entries are newest first, replaced on re-add and capped at 200', () => {
+  let ledger = addLedgerEntry(null, entry('a'));
+  ledger = addLedgerEntry(ledger, entry('b'));
+  assert.deepEqual(ledger.map((item) => item.infoHash), [hash('b'), hash('a')]);
+
+  ledger = addLedgerEntry(ledger, entry('a', { addedAt: NOW }));
+  assert.deepEqual(ledger.map((item) => item.infoHash), [hash('a'), hash('b')]);
+  assert.equal(ledger[0].addedAt, NOW);
+
+  let full = [];
+  for (let i = 0; i < 205; i += 1) full = addLedgerEntry(full, { infoHash: i.toString(16).padStart(40, '0'), addedAt: i });
+  assert.equal(full.length, 200);
+  assert.equal(full[0].addedAt, 204);
+  assert.equal(full[199].addedAt, 5);
+});
+
+test('H&R status of one torrent', () => {
+  const seeded = NOW - (HNR_SEED_HOURS + 1) * HOUR_MS;
+  const cases = [
+    [entry('a', { freeleech: true, seed: false }), null, 'safe', 'freeleech'],
+    [entry('a'), torrent('a', { ratio: 1.2 }), 'safe', 'ratio'],
+    [entry('a', { seed: null }), torrent('a'), 'unknown', 'no-seeding-control'],
+    [entry('a', { seed: false }), torrent('a'), 'risk', 'seeding-disabled'],
+    [entry('a', { addedAt: seeded }), torrent('a'), 'safe', 'seed-time'],
+    [entry('a', { addedAt: seeded, removedAt: NOW }), null, 'safe', 'seed-time'],
+    [entry('a', { removedAt: NOW }), null, 'risk', 'removed'],
+    [entry('a'), null, 'risk', 'removed'],
+    [entry('a'), torrent('a'), 'seeding', 'seed-time-pending'],
+    [entry('a'), torrent('a', { download_state: 'stalled' }), 'risk', 'not-seeding'],
+    [entry('a'), torrent('a', { active: false }), 'risk', 'not-seeding'],
+  ];
+  for (const [ledgerEntry, libraryTorrent, status, reason] of cases) {
+    assert.deepEqual(hnrStatus(ledgerEntry, libraryTorrent, NOW), { status, reason });
+  }
+});
+
+test('the H&R report matches the ledger against the library', () => {
+  const ledger = [
+    entry('a'),
+    entry('b', { seed: false }),
+    entry('c', { freeleech: true, removedAt: NOW - HOUR_MS / 2 }),
+  ];
+  const report = buildHnrReport(ledger, [torrent('a'), torrent('b', { ratio: 'n/a' })], NOW);
+
+  assert.equal(report.seedHours, HNR_SEED_HOURS);
+  assert.equal(report.atRisk, 1);
+  assert.deepEqual(report.torrents.map((item) => [item.infoHash, item.status]), [
+    [hash('a'), 'seeding'],
+    [hash('b'), 'risk'],
+    [hash('c'), 'safe'],
+  ]);
+
+  const [a, b, c] = report.torrents;
+  assert.deepEqual(a, {
+    title: 'Release a',
+    torrentId: 'nc-a',
+    infoHash: hash('a'),
+    freeleech: false,
+    seed: true,
+    addedAt: new Date(NOW - HOUR_MS).toISOString(),
+    removedAt: null,
+    hours: 1,
+    inLibrary: true,
+    state: 'uploading',
+    ratio: 0.2,
+    status: 'seeding',
+    reason: 'seed-time-pending',
+  });
+  assert.equal(b.ratio, null);
+  assert.equal(c.inLibrary, false);
+  assert.equal(c.removedAt, new Date(NOW - HOUR_MS / 2).toISOString());
+
+  assert.deepEqual(buildHnrReport(null, null, NOW), { seedHours: HNR_SEED_HOURS, atRisk: 0, torrents: [] });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert').strict;
+const { test, withSecrets } = require('./harness');
+
+const SECRET_A = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const SECRET_B = 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const TOKEN = 'config-token-1';
+const SELECTION = {
+  infoHash: 'a'.repeat(40),
+  torrentId: '123456',
+  fileName: 'Show.S01E02.1080p.mkv',
+  season: 1,
+  episode: 2,
+  freeleech: true,
+};
+
+function replacePart(key, index, value) {
+  const parts = key.split('~');
+  parts[index] = value;
+  return parts.join('~');
+}
+
+test('without secrets no signed key is made', () => {
+  const [{ encodeSelectionKey, decodeSelectionKey }] = withSecrets('', ['selection-key']);
+  assert.equal(encodeSelectionKey(TOKEN, SELECTION), null);
+  assert.equal(decodeSelectionKey(TOKEN, 's1~00000000~e30~AAAA'), null);
+});
+
+test('signed keys round-trip the selection', () => {
+  const [{ encodeSelectionKey, decodeSelectionKey, tokenBinding }] = withSecrets(SECRET_A, ['selection-key']);
+  const key = encodeSelectionKey(TOKEN, SELECTION);
+  assert.match(key, /^s1~[0-9a-f]{8}~[A-Za-z0-9_-]+~[A-Za-z0-9_-]+$/);
+
+  const sel = decodeSelectionKey(TOKEN, key);
+  assert.equal(sel.tokenBinding, tokenBinding(TOKEN));
+  assert.ok(!('token' in sel));
+  assert.equal(sel.infoHash, SELECTION.infoHash);
+  assert.equal(sel.torrentId, '123456');
+  assert.equal(sel.fileName, 'Show.S01E02.1080p.mkv');
+  assert.equal(sel.season, 1);
+  assert.equal(sel.episode, 2);
+  assert.equal(sel.freeleech, true);
+  assert.equal(sel.torboxId, null);
+});
+
+test('download links are never put into the key', () => {
+  const [{ encodeSelectionKey }] = withSecrets(SECRET_A, ['selection-key']);
+  const key = encodeSelectionKey(TOKEN, { ...SELECTION, downloadUrl: 'https://ncore.pro/torrents.php?action=download&id=1&key=secret' });
+  const payload = Buffer.from(key.split('~')[2], 'base64url').toString('utf8');
+  assert.ok(!payload.includes('secret'));
+});
+
+test('tampered keys are rejected', () => {
+  const [{ encodeSelectionKey, decodeSelectionKey }] = withSecrets(SECRET_A, ['selection-key']);
+  const key = encodeSelectionKey(TOKEN, SELECTION);
+
+  const payload = JSON.parse(Buffer.from(key.split('~')[2], 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...payload, h: 'b'.repeat(40) })).toString('base64url');
+  assert.equal(decodeSelectionKey(TOKEN, replacePart(key, 2, forged)), null);
+  assert.equal(decodeSelectionKey(TOKEN, replacePart(key, 3, 'A'.repeat(22))), null);
+  assert.equal(decodeSelectionKey(TOKEN, replacePart(key, 1, '00000000')), null);
+  assert.equal(decodeSelectionKey(TOKEN, key.split('~').slice(0, 3).join('~')), null);
+  assert.equal(decodeSelectionKey(TOKEN, 'not-a-key'), null);
+});
+
+test('keys only decode with the token they were issued for', () => {
+  const [{ encodeSelectionKey, decodeSelectionKey }] = withSecrets(SECRET_A, ['selection-key']);
+  const key = encodeSelectionKey(TOKEN, SELECTION);
+  assert.equal(decodeSelectionKey('config-token-2', key), null);
+});
+
+test('rotation: keys signed with an older secret keep decoding', () => {
+  const [{ encodeSelectionKey }] = withSecrets(SECRET_A, ['selection-key']);
+  const key = encodeSelectionKey(TOKEN, SELECTION);
+
+  const [rotated] = withSecrets(`${SECRET_B},${SECRET_A}`, ['selection-key']);
+  assert.equal(rotated.decodeSelectionKey(TOKEN, key).infoHash, SELECTION.infoHash);
+  const [dropped] = withSecrets(SECRET_B, ['selection-key']);
+  assert.equal(dropped.decodeSelectionKey(TOKEN, key), null);
+});